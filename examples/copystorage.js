@@ -0,0 +1,24 @@
+const process = require('process');
+const relay = require('..');
+
+
+async function main() {
+    const argv = process.argv;
+    if (argv.length < 5) {
+        console.error(`Usage: ${argv[0]} ${argv[1]} FROM_BACKING FROM_LABEL TO_BACKING [TO_LABEL]`);
+        return process.exit(2);
+    }
+    const from = {backing: argv[2], label: argv[3]};
+    const to = {backing: argv[4], label: argv[5] || argv[3]};
+    const result = await relay.storage.copyLabel(from, to);
+    for (const [ns, count] of Object.entries(result.counts)) {
+        console.info(`${ns}: ${count}`);
+    }
+    console.info(`Copied and verified ${result.total} keys from ` +
+                 `${from.backing}:${from.label} to ${to.backing}:${to.label}`);
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
@@ -56,9 +56,25 @@ class NetworkError extends RelayError {
 }
 
 
+/**
+ * Thrown when sending to addresses that are on our block list.
+ *
+ * @extends {module:errors~RelayError}
+ * @property {string[]} addrs - The blocked addresses.
+ */
+class BlockedAddressError extends RelayError {
+    constructor(addrs) {
+        super(`Refusing to send to blocked address(es): ${addrs.join(', ')}`);
+        this.name = 'BlockedAddressError';
+        this.addrs = addrs;
+    }
+}
+
+
 module.exports = {
     RelayError,
     UnregisteredUserError,
     ProtocolError,
     NetworkError,
+    BlockedAddressError,
 };
@@ -1,8 +1,6 @@
 // vim: ts=4:sw=4:expandtab
 /** @module */
 
-const storage = require('./storage');
-
 
 /**
  * @property {string} type - The event type (name).
@@ -16,7 +14,8 @@ class Event {
 
 /**
  * Fired from message sending and receiving contexts when a peer's identity
- * key has changed.
+ * key has changed.  With the `strict` trust policy it is also fired for the
+ * first key seen from a peer.
  *
  * @extends {module:eventing~Event}
  * @property {libsignal.UntrustedIdentityKeyError} keyError
@@ -24,19 +23,84 @@ class Event {
  */
 class KeyChangeEvent extends Event {
 
-    constructor(keyError) {
+    /**
+     * @param {libsignal.UntrustedIdentityKeyError} keyError
+     * @param {Object} [options]
+     * @param {module:storage~Storage} [options.storage] - Storage context the key belongs to.
+     */
+    constructor(keyError, options) {
         super('keychange');
         this.keyError = keyError;
+        // Required late because the storage module uses this one.
+        this.storage = (options && options.storage) || require('./storage').defaultStorage;
     }
 
     /**
      * Can be called during event handling to accept the new identity key.
      */
     async accept() {
-        await storage.removeIdentity(this.keyError.addr);
-        await storage.saveIdentity(this.keyError.addr, this.keyError.identityKey);
+        await this._accept('accept');
+    }
+
+    async _accept(acceptance) {
+        const {addr, identityKey} = this.keyError;
+        await this.storage.saveIdentity(addr, identityKey, {acceptance});
+        // Also drop sessions made with an older key when this one was already saved.
+        await this.storage.removeAllSessions(addr);
         this.keyError.accepted = true;
     }
+
+    /**
+     * Accept the new identity key if the storage trust policy allows it
+     * without approval.
+     *
+     * @returns {boolean} True if the key was accepted.
+     */
+    async autoAccept() {
+        const {addr, identityKey} = this.keyError;
+        const previousKey = await this.storage.loadIdentity(addr);
+        const policy = this.storage.trustPolicy;
+        const accepted = previousKey ? await policy.acceptKeyChange(addr, identityKey, previousKey) :
+                                       await policy.trustNewIdentity(addr, identityKey);
+        if (accepted) {
+            await this._accept('implicit');
+        }
+        return accepted;
+    }
+}
+
+/**
+ * Fired by a {@link module:storage~Storage} when one of its values is set or
+ * removed.  Changes made by other processes are only seen after calling
+ * {@link module:storage~Storage#watch}.
+ *
+ * @extends {module:eventing~Event}
+ * @property {string} ns - Namespace of the change.
+ * @property {string} [key] - Missing for remote Redis changes, which only
+ *                            identify the namespace.
+ * @property {string} op - `set` or `remove`.
+ * @property {boolean} [existed] - If the key was present before the change (when known).
+ * @property {boolean} exists - If the key is present after the change.
+ * @property {boolean} remote - The change was made by another process.
+ * @property {module:storage~Storage} storage
+ * @property {string} type=storagechange
+ */
+class StorageChangeEvent extends Event {
+
+    /**
+     * @param {Object} change - `{ns, key, op, existed, exists, remote}`
+     * @param {module:storage~Storage} storage
+     */
+    constructor(change, storage) {
+        super('storagechange');
+        this.ns = change.ns;
+        this.key = change.key;
+        this.op = change.op;
+        this.existed = change.existed;
+        this.exists = change.exists;
+        this.remote = !!change.remote;
+        this.storage = storage;
+    }
 }
 
 /**
@@ -107,5 +171,6 @@ class EventTarget {
 module.exports = {
     Event,
     KeyChangeEvent,
+    StorageChangeEvent,
     EventTarget
 };
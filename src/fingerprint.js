@@ -0,0 +1,164 @@
+// vim: ts=4:sw=4:expandtab
+
+/**
+ * Safety numbers for comparing identity keys with a peer.  These are
+ * compatible with the Signal numeric and scannable (version 1) fingerprints.
+ *
+ * @module fingerprint
+ */
+
+const node_crypto = require('crypto');
+const protobufs = require('./protobufs');
+const storage = require('./storage');
+
+const fingerprintVersion = 0;
+const scannableVersion = 1;
+const defaultIterations = 5200;
+
+
+function hashIdentity(addr, publicKey, iterations) {
+    const version = Buffer.alloc(2);
+    version.writeUInt16BE(fingerprintVersion);
+    let hash = Buffer.concat([version, publicKey, Buffer.from(addr)]);
+    for (let i = 0; i < iterations; i++) {
+        hash = node_crypto.createHash('sha512').update(hash).update(publicKey).digest();
+    }
+    return hash;
+}
+
+
+function displayText(hash) {
+    const chunks = [];
+    for (let offset = 0; offset < 30; offset += 5) {
+        const chunk = hash.readUIntBE(offset, 5) % 100000;
+        chunks.push(chunk.toString().padStart(5, '0'));
+    }
+    return chunks.join('');
+}
+
+
+function equal(a, b) {
+    return !!a && !!b && a.length === b.length && node_crypto.timingSafeEqual(a, b);
+}
+
+
+/**
+ * A safety number for our identity key and a peer's identity key.  Both
+ * sides compute the same {@link displayText}, and each side can scan the
+ * other's {@link scannable} payload.
+ *
+ * @property {string} localAddr
+ * @property {string} remoteAddr
+ * @property {Buffer} remoteIdentityKey
+ * @property {string} displayText - 60 digits, usually shown in groups of 5.
+ * @property {Buffer} scannable - Payload for a QR code.
+ */
+class SafetyNumber {
+
+    /**
+     * @param {string} localAddr - Our address.
+     * @param {Buffer} localIdentityKey - Our public identity key.
+     * @param {string} remoteAddr - Address of peer.
+     * @param {Buffer} remoteIdentityKey - Public identity key of peer.
+     * @param {number} [iterations=5200]
+     */
+    constructor(localAddr, localIdentityKey, remoteAddr, remoteIdentityKey, iterations) {
+        if (!(localIdentityKey instanceof Buffer) || !(remoteIdentityKey instanceof Buffer)) {
+            throw new TypeError("Identity keys must be Buffer");
+        }
+        iterations = iterations || defaultIterations;
+        this.localAddr = localAddr;
+        this.remoteAddr = remoteAddr;
+        this.remoteIdentityKey = remoteIdentityKey;
+        const localHash = hashIdentity(localAddr, localIdentityKey, iterations);
+        const remoteHash = hashIdentity(remoteAddr, remoteIdentityKey, iterations);
+        this.displayText = [displayText(localHash), displayText(remoteHash)].sort().join('');
+        this._localContent = localHash.slice(0, 32);
+        this._remoteContent = remoteHash.slice(0, 32);
+        this.scannable = Buffer.from(protobufs.CombinedFingerprints.encode({
+            version: scannableVersion,
+            localFingerprint: {content: this._localContent},
+            remoteFingerprint: {content: this._remoteContent}
+        }).finish());
+    }
+
+    /**
+     * Compare with the safety number from the peer's device.
+     *
+     * @param {(string|Buffer)} other - Displayed digits (spaces are ignored)
+     *                                  or a scanned payload from the peer.
+     * @returns {boolean} True if the peer has the same keys we do.
+     */
+    matches(other) {
+        if (typeof other === 'string') {
+            return equal(Buffer.from(other.replace(/\s/g, '')), Buffer.from(this.displayText));
+        }
+        if (!(other instanceof Buffer)) {
+            throw new TypeError("Expected string or Buffer");
+        }
+        const combined = protobufs.CombinedFingerprints.decode(other);
+        if (combined.version !== scannableVersion) {
+            throw new Error("Unsupported fingerprint version: " + combined.version);
+        }
+        // The peer's local fingerprint is our remote one and vice versa.
+        return equal(combined.localFingerprint && combined.localFingerprint.content,
+                     this._remoteContent) &&
+               equal(combined.remoteFingerprint && combined.remoteFingerprint.content,
+                     this._localContent);
+    }
+}
+
+
+/**
+ * Get the safety number for a peer from the keys in storage.
+ *
+ * @param {string} addr - Address of peer.
+ * @param {Object} [options]
+ * @param {module:storage~Storage} [options.storage]
+ * @param {number} [options.iterations=5200]
+ * @returns {module:fingerprint~SafetyNumber}
+ */
+async function getSafetyNumber(addr, options) {
+    options = options || {};
+    const store = options.storage || storage.defaultStorage;
+    const ourAddr = await store.getState('addr');
+    const ourIdentity = await store.getOurIdentity();
+    if (!ourAddr || !ourIdentity.pubKey) {
+        throw new ReferenceError("Storage is not registered");
+    }
+    const identityKey = await store.loadIdentity(addr);
+    if (!identityKey) {
+        throw new ReferenceError("No identity key for: " + addr);
+    }
+    return new SafetyNumber(ourAddr, ourIdentity.pubKey, addr, identityKey, options.iterations);
+}
+
+
+/**
+ * Compare a peer's safety number, as displayed or scanned on their device,
+ * with ours.  The peer is marked verified in storage if they match.
+ *
+ * @param {string} addr - Address of peer.
+ * @param {(string|Buffer)} other - Displayed digits or a scanned payload.
+ * @param {Object} [options]
+ * @param {module:storage~Storage} [options.storage]
+ * @param {number} [options.iterations=5200]
+ * @returns {boolean} True if they match.
+ */
+async function verifySafetyNumber(addr, other, options) {
+    options = options || {};
+    const store = options.storage || storage.defaultStorage;
+    const safetyNumber = await getSafetyNumber(addr, options);
+    if (!safetyNumber.matches(other)) {
+        return false;
+    }
+    await store.setVerified(addr, true, safetyNumber.remoteIdentityKey);
+    return true;
+}
+
+
+module.exports = {
+    SafetyNumber,
+    getSafetyNumber,
+    verifySafetyNumber
+};
@@ -88,8 +88,15 @@ function decodeJWT(encoded_token) {
  */
 class AtlasClient {
 
-    constructor({url=defaultUrl, jwt=null}) {
+    /**
+     * @param {Object} options
+     * @param {string} [options.url]
+     * @param {string} [options.jwt]
+     * @param {module:storage~Storage} [options.storage] - Storage context for this account.
+     */
+    constructor({url=defaultUrl, jwt=null, storage: store=null}) {
         this.url = url;
+        this.storage = store || storage.defaultStorage;
         if (jwt) {
             this.setJWT(jwt);
         }
@@ -104,12 +111,17 @@ class AtlasClient {
 
     /**
      * Produce a default instance.
+     *
+     * @param {Object} [options]
+     * @param {module:storage~Storage} [options.storage] - Storage context to load from.
      * @returns {AtlasClient}
      */
-    static async factory() {
-        const url = await storage.getState(urlStoreKey);
-        const jwt = await storage.getState(credStoreKey);
-        return new this({url, jwt});
+    static async factory(options) {
+        options = options || {};
+        const store = options.storage || storage.defaultStorage;
+        const url = await store.getState(urlStoreKey);
+        const jwt = await store.getState(credStoreKey);
+        return new this({url, jwt, storage: store});
     }
 
     /**
@@ -243,8 +255,8 @@ class AtlasClient {
             json: creds
         });
         this.setJWT(auth.token);
-        await storage.putState(credStoreKey, auth.token);
-        await storage.putState(urlStoreKey, this.url);
+        await this.storage.putState(credStoreKey, auth.token);
+        await this.storage.putState(urlStoreKey, this.url);
     }
 
     parseTag(tag) {
@@ -322,10 +334,10 @@ class AtlasClient {
      */
     async maintainJWT(forceRefresh, authenticator, onRefresh) {
         /* Manage auth token expiration.  This routine will reschedule itself as needed. */
-        let token = decodeJWT(await storage.getState(credStoreKey));
+        let token = decodeJWT(await this.storage.getState(credStoreKey));
         const refreshDelay = t => (t.payload.exp - (Date.now() / 1000)) / 2;
         if (forceRefresh || refreshDelay(token) < 1) {
-            const encodedToken = await storage.getState(credStoreKey);
+            const encodedToken = await this.storage.getState(credStoreKey);
             const resp = await this.fetch('/v1/api-token-refresh/', {
                 method: 'POST',
                 json: {token: encodedToken}
@@ -344,7 +356,7 @@ class AtlasClient {
             }
             token = decodeJWT(jwt);
             console.info("Refreshed JWT in maintainJWT");
-            await storage.putState(credStoreKey, jwt);
+            await this.storage.putState(credStoreKey, jwt);
             this.authHeader = `JWT ${jwt}`;
             this.userId = token.payload.user_id;
             if (onRefresh) {
@@ -454,7 +466,7 @@ class AtlasClient {
      */
     async updateUser(json) {
         const op = { method: "PATCH", json};
-        await this.fetch("/v1/user/" + data.id, op);
+        await this.fetch("/v1/user/" + json.id, op);
     }
 
     /**
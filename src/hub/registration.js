@@ -28,6 +28,24 @@ function generateSignalingKey() {
     return crypto.randomBytes(32 + 20);
 }
 
+async function saveRegistration(store, {addr, identity, serverUrl, deviceId, name, username,
+                                 password, registrationId, signalingKey}) {
+    /* Commit all the account state at once so a crash can't leave us
+     * half registered. */
+    const batch = await store.batch().removeAllSessions();
+    batch.putIdentity(addr, identity.pubKey);
+    batch.saveOurIdentity(identity);
+    batch.putState('addr', addr);
+    batch.putState('serverUrl', serverUrl);
+    batch.putState('deviceId', deviceId);
+    batch.putState('name', name);
+    batch.putState('username', username);
+    batch.putState('password', password);
+    batch.putState('registrationId', registrationId);
+    batch.putState('signalingKey', signalingKey);
+    await batch.commit();
+}
+
 /**
  * Create a new identity key and create or replace the signal account.
  * Note that any existing devices asssociated with your account will be
@@ -37,10 +55,12 @@ function generateSignalingKey() {
  * @param {Object} [options]
  * @param {string} [options.name] - The public name to store in the signal server.
  * @param {AtlasClient} [options.atlasClient]
+ * @param {module:storage~Storage} [options.storage] - Storage context to register into.
  */
 async function registerAccount(options) {
     options = options || {};
-    const atlasClient = options.atlasClient || await AtlasClient.factory();
+    const store = options.storage || storage.defaultStorage;
+    const atlasClient = options.atlasClient || await AtlasClient.factory({storage: store});
     const name = options.name || defaultName;
     const registrationId = libsignal.keyhelper.generateRegistrationId();
     const password = generatePassword();
@@ -59,20 +79,18 @@ async function registerAccount(options) {
     const addr = response.userId;
     const username = `${addr}.${response.deviceId}`;
     const identity = libsignal.keyhelper.generateIdentityKeyPair();
-    await storage.clearSessionStore();
-    await storage.removeOurIdentity();
-    await storage.removeIdentity(addr);
-    await storage.saveIdentity(addr, identity.pubKey);
-    await storage.saveOurIdentity(identity);
-    await storage.putState('addr', addr);
-    await storage.putState('serverUrl', response.serverUrl);
-    await storage.putState('deviceId', response.deviceId);
-    await storage.putState('name', name);
-    await storage.putState('username', username);
-    await storage.putState('password', password);
-    await storage.putState('registrationId', registrationId);
-    await storage.putState('signalingKey', signalingKey);
-    const sc = new SignalClient(username, password, response.serverUrl);
+    await saveRegistration(store, {
+        addr,
+        identity,
+        serverUrl: response.serverUrl,
+        deviceId: response.deviceId,
+        name,
+        username,
+        password,
+        registrationId,
+        signalingKey
+    });
+    const sc = new SignalClient(username, password, response.serverUrl, {storage: store});
     await sc.registerKeys(await sc.generateKeys());
 }
 
@@ -95,17 +113,19 @@ async function registerAccount(options) {
  *                                                 Requires existing online devices.
  * @param {function} [options.onProvisionReady] - Callback executed when a peer has an provisioning
  *                                                response.  Can be called more than once.
+ * @param {module:storage~Storage} [options.storage] - Storage context to register into.
  * @returns {RegisterDeviceResult}
  */
 async function registerDevice(options) {
     options = options || {};
-    const atlasClient = options.atlasClient || await AtlasClient.factory();
+    const store = options.storage || storage.defaultStorage;
+    const atlasClient = options.atlasClient || await AtlasClient.factory({storage: store});
     const accountInfo = await atlasClient.fetch('/v1/provision/account');
     if (!accountInfo.devices.length) {
         console.error("Must use `registerAccount` for first device");
         throw new TypeError("No Account");
     }
-    const signalClient = new SignalClient(null, null, accountInfo.serverUrl);
+    const signalClient = new SignalClient(null, null, accountInfo.serverUrl, {storage: store});
     const autoProvision = options.autoProvision !== false;
     const name = options.name || defaultName;
     if (!options.onProvisionReady && !autoProvision) {
@@ -177,20 +197,18 @@ async function registerDevice(options) {
             validateResponse: {deviceId: 'number'}
         });
         const username = `${addr}.${response.deviceId}`;
-        await storage.clearSessionStore();
-        await storage.removeOurIdentity();
-        await storage.removeIdentity(addr);
-        await storage.saveIdentity(addr, identity.pubKey);
-        await storage.saveOurIdentity(identity);
-        await storage.putState('addr', addr);
-        await storage.putState('serverUrl', signalClient.url);
-        await storage.putState('deviceId', response.deviceId);
-        await storage.putState('name', name);
-        await storage.putState('username', username);
-        await storage.putState('password', password);
-        await storage.putState('registrationId', registrationId);
-        await storage.putState('signalingKey', signalingKey);
-        const authedClient = new SignalClient(username, password, signalClient.url);
+        await saveRegistration(store, {
+            addr,
+            identity,
+            serverUrl: signalClient.url,
+            deviceId: response.deviceId,
+            name,
+            username,
+            password,
+            registrationId,
+            signalingKey
+        });
+        const authedClient = new SignalClient(username, password, signalClient.url, {storage: store});
         await authedClient.registerKeys(await authedClient.generateKeys());
     })();
 
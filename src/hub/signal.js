@@ -24,27 +24,51 @@ const SIGNAL_HTTP_MESSAGES = {
 };
 
 
+/**
+ * @typedef {Object} DeviceInfo
+ * @property {number} id
+ * @property {string} name
+ * @property {?number} created - When the device was linked (ms since epoch).
+ * @property {?number} lastSeen - When the device last connected (ms since epoch).
+ *                                The signal server only records the day.
+ * @property {boolean} current - True for this device.
+ */
+
 /**
  * Interface with the Signal server.  The signal server handles the exchange
  * of encrypted messages and brokering of public keys.
  */
 class SignalClient {
 
-    constructor(username, password, url) {
+    /**
+     * @param {string} username
+     * @param {string} password
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {module:storage~Storage} [options.storage] - Storage context for this account.
+     */
+    constructor(username, password, url, options) {
+        options = options || {};
         this.url = url;
         this.username = username;
         this.password = password;
+        this.storage = options.storage || storage.defaultStorage;
         this.attachment_id_regex = RegExp("^https?://.*/(\\d+)?");
     }
 
     /**
      * Return a default instance.
+     *
+     * @param {Object} [options]
+     * @param {module:storage~Storage} [options.storage] - Storage context to load from.
      */
-    static async factory() {
-        const url = await storage.getState('serverUrl');
-        const username = await storage.getState('username');
-        const password = await storage.getState('password');
-        return new this(username, password, url);
+    static async factory(options) {
+        options = options || {};
+        const store = options.storage || storage.defaultStorage;
+        const url = await store.getState('serverUrl');
+        const username = await store.getState('username');
+        const password = await store.getState('password');
+        return new this(username, password, url, {storage: store});
     }
 
     /**
@@ -53,28 +77,34 @@ class SignalClient {
      * device!
      *
      * @param {string} uuid - UUID param provided by the foreign device.
-     * @param {string} pubKey - Ephemeral public key used for provisioning.
+     * @param {(string|Buffer)} pubKey - Ephemeral public key used for provisioning
+     *                                   (base64 encoded if a string).
      * @param {Object} [options]
      * @param {string} [options.userAgent]
      */
     async linkDevice(uuid, pubKey, options) {
         options = options || {};
+        if (typeof pubKey === 'string') {
+            pubKey = Buffer.from(pubKey, 'base64');
+        }
         const provisionResp = await this.request({
             call: 'devices',
             urlParameters: '/provisioning/code'
         });
-        const ourIdent = await storage.getOurIdentity();
-        const pMessage = new protobufs.ProvisionMessage();
-        pMessage.identityKeyPrivate = ourIdent.privKey;
-        pMessage.addr = await storage.getState('addr');
-        pMessage.userAgent = options.userAgent || 'librelay-web';
-        pMessage.provisioningCode = provisionResp.verificationCode;
+        const ourIdent = await this.storage.getOurIdentity();
+        const pMessage = protobufs.ProvisionMessage.create({
+            identityKeyPrivate: ourIdent.privKey,
+            addr: await this.storage.getState('addr'),
+            userAgent: options.userAgent || 'librelay-web',
+            provisioningCode: provisionResp.verificationCode
+        });
         const provisioningCipher = new ProvisioningCipher();
-        const pEnvelope = await provisioningCipher.encrypt(pubKey, pMessage);
+        const pEnvelope = provisioningCipher.encrypt(pubKey,
+            Buffer.from(protobufs.ProvisionMessage.encode(pMessage).finish()));
         const resp = await this.fetch('/v1/provisioning/' + uuid, {
             method: 'PUT',
             json: {
-                body: pEnvelope.toString('base64')
+                body: Buffer.from(protobufs.ProvisionEnvelope.encode(pEnvelope).finish()).toString('base64')
             }
         });
         if (!resp.ok) {
@@ -104,26 +134,37 @@ class SignalClient {
         }
     }
 
-    async generateKeys(count=100, progressCallback) {
+    /**
+     * Generate prekeys and a new signed prekey for {@link registerKeys}.
+     * Replaced signed prekeys are pruned afterwards.
+     *
+     * @param {number} [count=100] - Number of prekeys.
+     * @param {Function} [progressCallback] - Called with the index of each prekey.
+     * @param {Object} [options]
+     * @param {number} [options.grace] - Seconds to keep replaced signed prekeys.  See
+     *                                   {@link module:storage~Storage#pruneSignedPreKeys}.
+     */
+    async generateKeys(count=100, progressCallback, options) {
         if (typeof progressCallback !== 'function') {
             progressCallback = undefined;
         }
-        const startId = await storage.getState('maxPreKeyId') || 1;
+        const startId = await this.storage.getState('maxPreKeyId') || 1;
         if (typeof startId !== 'number') {
             throw new Error('Invalid maxPreKeyId');
         }
-        const signedKeyId = await storage.getState('signedKeyId') || 1;
+        const signedKeyId = await this.storage.getState('signedKeyId') || 1;
         if (typeof signedKeyId !== 'number') {
             throw new Error('Invalid signedKeyId');
         }
-        const ourIdent = await storage.getOurIdentity();
+        const ourIdent = await this.storage.getOurIdentity();
         const result = {
             preKeys: [],
             identityKey: ourIdent.pubKey
         };
+        const batch = this.storage.batch();
         for (let keyId = startId; keyId < startId + count; ++keyId) {
             const preKey = libsignal.keyhelper.generatePreKey(keyId);
-            await storage.storePreKey(preKey.keyId, preKey.keyPair);
+            batch.storePreKey(preKey.keyId, preKey.keyPair);
             result.preKeys.push({
                 keyId: preKey.keyId,
                 publicKey: preKey.keyPair.pubKey
@@ -132,17 +173,48 @@ class SignalClient {
                 progressCallback(keyId - startId);
             }
         }
+        result.signedPreKey = await this._generateSignedPreKey(batch, ourIdent, signedKeyId);
+        batch.putState('maxPreKeyId', startId + count);
+        await batch.commit();
+        await this.storage.pruneSignedPreKeys(options && options.grace);
+        return result;
+    }
+
+    async _generateSignedPreKey(batch, ourIdent, signedKeyId) {
         const sprekey = await libsignal.keyhelper.generateSignedPreKey(ourIdent, signedKeyId);
-        await storage.storeSignedPreKey(sprekey.keyId, sprekey.keyPair);
-        result.signedPreKey = {
+        batch.storeSignedPreKey(sprekey.keyId, sprekey.keyPair);
+        batch.putState('signedKeyId', signedKeyId + 1);
+        return {
             keyId: sprekey.keyId,
             publicKey: sprekey.keyPair.pubKey,
             signature: sprekey.signature
         };
-        await storage.removeSignedPreKey(signedKeyId - 2);
-        await storage.putState('maxPreKeyId', startId + count);
-        await storage.putState('signedKeyId', signedKeyId + 1);
-        return result;
+    }
+
+    /**
+     * Generate a new signed prekey and register it with the signal service.
+     * Older signed prekeys are kept until pruned with
+     * {@link module:storage~Storage#pruneSignedPreKeys}.
+     *
+     * @returns {number} The new signed prekey id.
+     */
+    async rotateSignedPreKey() {
+        const signedKeyId = await this.storage.getState('signedKeyId') || 1;
+        if (typeof signedKeyId !== 'number') {
+            throw new Error('Invalid signedKeyId');
+        }
+        const ourIdent = await this.storage.getOurIdentity();
+        const batch = this.storage.batch();
+        const signedPreKey = await this._generateSignedPreKey(batch, ourIdent, signedKeyId);
+        await batch.commit();
+        try {
+            await this.registerSignedPreKey(signedPreKey);
+        } catch(e) {
+            // Leave the previous key as the newest so the next rotation retries.
+            await this.storage.removeSignedPreKey(signedPreKey.keyId);
+            throw e;
+        }
+        return signedPreKey.keyId;
     }
 
     authHeader(username, password) {
@@ -235,11 +307,70 @@ class SignalClient {
     /**
      * Fetch the current list of known devices associated with your account.
      *
-     * @returns {Array} - Array of device info objects.
+     * @returns {DeviceInfo[]}
      */
     async getDevices() {
         const data = await this.request({call: 'devices'});
-        return data && data.devices;
+        const devices = data && data.devices;
+        if (!devices) {
+            return devices;
+        }
+        const ourDeviceId = Number(await this.storage.getState('deviceId'));
+        return devices.map(x => Object.assign({}, x, {
+            id: Number(x.id),
+            created: x.created || null,
+            lastSeen: x.lastSeen || null,
+            current: Number(x.id) === ourDeviceId
+        }));
+    }
+
+    /**
+     * Change the public name of this device.  The signal server only lets a
+     * device name itself.
+     *
+     * @param {string} name
+     */
+    async renameDevice(name) {
+        if (!name) {
+            throw new TypeError("name required");
+        }
+        await this.request({
+            call: 'accounts',
+            httpType: 'PUT',
+            urlParameters: '/attributes',
+            json: {
+                signalingKey: (await this.storage.getState('signalingKey')).toString('base64'),
+                supportsSms: false,
+                fetchesMessages: true,
+                registrationId: await this.storage.getState('registrationId'),
+                name
+            }
+        });
+        await this.storage.putState('name', name);
+    }
+
+    /**
+     * Unlink one of our other devices from the account.  Our sessions with
+     * the device are removed too so we stop encrypting messages to it.  Only
+     * the primary device (id 1) is permitted to do this.
+     *
+     * @param {number} deviceId
+     */
+    async removeDevice(deviceId) {
+        deviceId = Number(deviceId);
+        if (!deviceId) {
+            throw new TypeError("deviceId required");
+        }
+        if (deviceId === Number(await this.storage.getState('deviceId'))) {
+            throw new Error("Cannot remove our own device");
+        }
+        await this.request({
+            call: 'devices',
+            httpType: 'DELETE',
+            urlParameters: '/' + deviceId
+        });
+        const addr = await this.storage.getState('addr');
+        await this.storage.pruneSessions({devices: [`${addr}.${deviceId}`]});
     }
 
     async registerKeys(genKeys) {
@@ -265,6 +396,19 @@ class SignalClient {
         });
     }
 
+    async registerSignedPreKey(signedPreKey) {
+        return await this.request({
+            call: 'keys',
+            httpType: 'PUT',
+            urlParameters: '/signed',
+            json: {
+                keyId: signedPreKey.keyId,
+                publicKey: signedPreKey.publicKey.toString('base64'),
+                signature: signedPreKey.signature.toString('base64')
+            }
+        });
+    }
+
     async getMyKeys() {
         const res = await this.request({
             call: 'keys',
@@ -10,12 +10,16 @@ module.exports = {
     Attachment: require('./attachment'),
     MessageReceiver: require('./message_receiver.js'),
     MessageSender: require('./message_sender.js'),
+    PreKeyMaintainer: require('./prekey_maintainer.js'),
+    ProvisioningApprover: require('./provisioning_approver.js'),
     SignalClient: hub.SignalClient,
     registerAccount: hub.registerAccount,
     registerDevice: hub.registerDevice,
     storage: require('./storage'),
     util: require('./util'),
     exchange: require('./exchange'),
+    fingerprint: require('./fingerprint'),
+    provisioningUri: require('./provisioning_uri'),
     errors: require('./errors')
 };
 
@@ -68,6 +68,17 @@ const DATA_FLAGS = protobufs.DataMessage.lookup('Flags').values;
  * @type {module:eventing~KeyChangeEvent}
  */
 
+/**
+ * Fired after a block list sync from one of our other devices is applied.
+ *
+ * @event MessageReceiver#blocked
+ * @type {module:eventing~Event}
+ * @property {string[]} addrs - The complete block list.
+ * @property {string[]} added - Addresses that were newly blocked.
+ * @property {string[]} removed - Addresses that were unblocked.
+ * @property {number} sourceDevice - The device that sent the sync.
+ */
+
 /**
  * Primary interface for handling incoming messages.  User interaction is
  * primarily performed via event listeners.
@@ -81,10 +92,21 @@ const DATA_FLAGS = protobufs.DataMessage.lookup('Flags').values;
  */
 class MessageReceiver extends eventing.EventTarget {
 
-    constructor({signal, atlas, addr, deviceId, signalingKey, noWebSocket}) {
+    /**
+     * @param {Object} options
+     * @param {SignalClient} options.signal
+     * @param {AtlasClient} options.atlas
+     * @param {string} options.addr
+     * @param {number} options.deviceId
+     * @param {Buffer} options.signalingKey
+     * @param {boolean} [options.noWebSocket]
+     * @param {module:storage~Storage} [options.storage] - Storage context for this account.
+     */
+    constructor({signal, atlas, addr, deviceId, signalingKey, noWebSocket, storage: store}) {
         super();
         console.assert(signal && atlas && addr && deviceId && signalingKey);
-        this._sender = new MessageSender({addr, signal, atlas});
+        this.storage = store || storage.defaultStorage;
+        this._sender = new MessageSender({addr, signal, atlas, storage: this.storage});
         this.signal = signal;
         this.atlas = atlas;
         this.addr = addr;
@@ -106,15 +128,21 @@ class MessageReceiver extends eventing.EventTarget {
 
     /**
      * Build a default instance.
+     *
+     * @param {boolean} [noWebSocket]
+     * @param {Object} [options]
+     * @param {module:storage~Storage} [options.storage] - Storage context to load from.
      * @returns {MessageReceiver}
      */
-    static async factory(noWebSocket) {
-        const signal = await hub.SignalClient.factory();
-        const atlas = await hub.AtlasClient.factory();
-        const addr = await storage.getState('addr');
-        const deviceId = await storage.getState('deviceId');
-        const signalingKey = await storage.getState('signalingKey');
-        return new this({signal, atlas, addr, deviceId, signalingKey, noWebSocket});
+    static async factory(noWebSocket, options) {
+        options = options || {};
+        const store = options.storage || storage.defaultStorage;
+        const signal = await hub.SignalClient.factory({storage: store});
+        const atlas = await hub.AtlasClient.factory({storage: store});
+        const addr = await store.getState('addr');
+        const deviceId = await store.getState('deviceId');
+        const signalingKey = await store.getState('signalingKey');
+        return new this({signal, atlas, addr, deviceId, signalingKey, noWebSocket, storage: store});
     }
 
     async checkRegistration() {
@@ -148,6 +176,9 @@ class MessageReceiver extends eventing.EventTarget {
                         if (attempts) {
                             console.info("Reconnected websocket");
                         }
+                        if (this.storage.preKeyMaintainer) {
+                            this.storage.preKeyMaintainer.check();
+                        }
                         return;
                     } catch(e) {
                         await this.checkRegistration();
@@ -247,7 +278,7 @@ class MessageReceiver extends eventing.EventTarget {
     }
 
     async handleEnvelope(envelope, reentrant, forceAcceptKeyChange) {
-        if (await storage.isBlocked(envelope.source)) {
+        if (await this.storage.isBlocked(envelope.source)) {
             console.warn("Dropping message from blocked address:", envelope.source);
             return;
         }
@@ -268,10 +299,10 @@ class MessageReceiver extends eventing.EventTarget {
                 console.warn("Ignoring duplicate message:", envelope);
                 return;
             } else if (e instanceof libsignal.UntrustedIdentityKeyError && !reentrant) {
-                const keyChangeEvent = new eventing.KeyChangeEvent(e, envelope);
+                const keyChangeEvent = new eventing.KeyChangeEvent(e, {storage: this.storage});
                 if (forceAcceptKeyChange) {
-                    await keyChangeEvent.accept();
-                } else {
+                    await keyChangeEvent._accept('forced');
+                } else if (!await keyChangeEvent.autoAccept()) {
                     await this.dispatchEvent(keyChangeEvent);
                 }
                 if (e.accepted) {
@@ -316,15 +347,17 @@ class MessageReceiver extends eventing.EventTarget {
 
     async decrypt(envelope, ciphertext) {
         const addr = new libsignal.ProtocolAddress(envelope.source, envelope.sourceDevice);
-        const sessionCipher = new libsignal.SessionCipher(storage, addr);
-        let plainBuf;
-        if (envelope.type === ENV_TYPES.CIPHERTEXT) {
-            plainBuf = await sessionCipher.decryptWhisperMessage(ciphertext);
-        } else if (envelope.type === ENV_TYPES.PREKEY_BUNDLE) {
-            plainBuf = await sessionCipher.decryptPreKeyWhisperMessage(ciphertext);
-        } else {
-            throw new TypeError("Unknown message type");
-        }
+        const sessionCipher = new libsignal.SessionCipher(this.storage, addr);
+        // Other processes on this storage label may be using the same sessions.
+        const plainBuf = await this.storage.withLock('session:' + envelope.source, async () => {
+            if (envelope.type === ENV_TYPES.CIPHERTEXT) {
+                return await sessionCipher.decryptWhisperMessage(ciphertext);
+            } else if (envelope.type === ENV_TYPES.PREKEY_BUNDLE) {
+                return await sessionCipher.decryptPreKeyWhisperMessage(ciphertext);
+            } else {
+                throw new TypeError("Unknown message type");
+            }
+        });
         return this.unpad(plainBuf);
     }
 
@@ -422,7 +455,7 @@ class MessageReceiver extends eventing.EventTarget {
             console.error("Deprecated group sync message:", message, envelope, content);
             throw new TypeError('Deprecated group sync message');
         } else if (message.blocked) {
-            this.handleBlocked(message.blocked, envelope);
+            await this.handleBlocked(message.blocked, envelope);
         } else if (message.request) {
             console.error("Deprecated group request sync message:", message, envelope, content);
             throw new TypeError('Deprecated group request sync message');
@@ -445,8 +478,15 @@ class MessageReceiver extends eventing.EventTarget {
         }
     }
 
-    handleBlocked(blocked) {
-        throw new Error("UNSUPPORTRED");
+    async handleBlocked(blocked, envelope) {
+        const changes = await this.storage.setBlocked(blocked.addrs || []);
+        const ev = new eventing.Event('blocked');
+        ev.addrs = blocked.addrs || [];
+        ev.added = changes.added;
+        ev.removed = changes.removed;
+        ev.timestamp = envelope.timestamp;
+        ev.sourceDevice = envelope.sourceDevice;
+        await this.dispatchEvent(ev);
     }
 
     async fetchAttachment(attachment) {
@@ -455,13 +495,15 @@ class MessageReceiver extends eventing.EventTarget {
     }
 
     async handleEndSession(addr, deviceId) {
-        const deviceIds = deviceId == null ? (await storage.getDeviceIds(addr)) : [deviceId];
+        const deviceIds = deviceId == null ? (await this.storage.getDeviceIds(addr)) : [deviceId];
         console.warn(`Handle end-session for: ${addr}.${deviceId || "*"}`);
-        await Promise.all(deviceIds.map(deviceId => {
-            const address = new libsignal.ProtocolAddress(addr, deviceId);
-            const sessionCipher = new libsignal.SessionCipher(storage, address);
-            return sessionCipher.closeOpenSession();
-        }));
+        await this.storage.withLock('session:' + addr, async () => {
+            await Promise.all(deviceIds.map(deviceId => {
+                const address = new libsignal.ProtocolAddress(addr, deviceId);
+                const sessionCipher = new libsignal.SessionCipher(this.storage, address);
+                return sessionCipher.closeOpenSession();
+            }));
+        });
     }
 }
 
@@ -3,6 +3,7 @@
 const Attachment = require('./attachment');
 const OutgoingMessage = require('./outgoing_message');
 const crypto = require('./crypto');
+const errors = require('./errors');
 const eventing = require('./eventing');
 const exchange = require('./exchange');
 const hub = require('./hub');
@@ -63,6 +64,9 @@ const uuid4 = require('uuid/v4');
  *                                              devices.  (ADVANCED)
  * @property {ActionOptions} [options.actionOptions]
  * @property {Action[]} [options.actions]
+ * @property {boolean} [options.allowBlocked=false] - Send even if some of the recipients are
+ *                                                    blocked.  Otherwise a
+ *                                                    {@link module:errors~BlockedAddressError} is thrown.
  */
 
 /**
@@ -78,23 +82,30 @@ class MessageSender extends eventing.EventTarget {
      * @param {string} options.addr - Your signal address (e.g. your account UUID)
      * @param {SignalClient} options.signal
      * @param {AtlasClient} options.atlas
+     * @param {module:storage~Storage} [options.storage] - Storage context for this account.
      */
-    constructor({addr, signal, atlas}) {
+    constructor({addr, signal, atlas, storage: store}) {
         super();
         this.addr = addr;
         this.signal = signal;
         this.atlas = atlas;
+        this.storage = store || storage.defaultStorage;
     }
 
     /**
      * Return a default instance.
+     *
+     * @param {Object} [options]
+     * @param {module:storage~Storage} [options.storage] - Storage context to load from.
      * @returns {MessageSender}
      */
-    static async factory() {
-        const addr = await storage.getState('addr');
-        const signal = await hub.SignalClient.factory();
-        const atlas = await hub.AtlasClient.factory();
-        return new this({addr, signal, atlas});
+    static async factory(options) {
+        options = options || {};
+        const store = options.storage || storage.defaultStorage;
+        const addr = await store.getState('addr');
+        const signal = await hub.SignalClient.factory({storage: store});
+        const atlas = await hub.AtlasClient.factory({storage: store});
+        return new this({addr, signal, atlas, storage: store});
     }
 
     async _makeAttachmentPointer(attachment) {
@@ -134,7 +145,8 @@ class MessageSender extends eventing.EventTarget {
         userAgent='librelay',
         noSync=false,
         actions=undefined,
-        actionOptions=undefined
+        actionOptions=undefined,
+        allowBlocked=false
     }) {
         const ex = exchange.create();
         if (!distribution) {
@@ -144,6 +156,10 @@ class MessageSender extends eventing.EventTarget {
                 throw TypeError("`to`, `distribution` or `addrs` required");
             }
         }
+        const recipients = this._scrubSelf(addrs || distribution.userids);
+        if (!allowBlocked) {
+            await this._assertNotBlocked(recipients);
+        }
         if (distribution) {
             ex.setThreadExpression(distribution.universal);
         }
@@ -184,7 +200,7 @@ class MessageSender extends eventing.EventTarget {
         }
         const content = protobufs.Content.create({dataMessage});
         const ts = Date.now();
-        const outMsg = this._send(content, ts, this._scrubSelf(addrs || distribution.userids));
+        const outMsg = this._send(content, ts, recipients);
         if (!noSync) {
             const syncOutMsg = this._sendSync(content, ts, threadId, expiration && Date.now());
             // Relay events from out message into the normal (non-sync) out-msg.  Even
@@ -197,11 +213,13 @@ class MessageSender extends eventing.EventTarget {
 
     _send(content, timestamp, addrs) {
         console.assert(addrs instanceof Array);
-        const outmsg = new OutgoingMessage(this.signal, timestamp, content);
+        const outmsg = new OutgoingMessage(this.signal, timestamp, content, {storage: this.storage});
         outmsg.on('keychange', this._onKeyChange.bind(this));
         for (const addr of addrs) {
-            queueAsync('message-send-job-' + addr.split('.')[0], () =>
-                outmsg.sendToAddr(addr).catch(this._onError.bind(this)));
+            const userId = addr.split('.')[0];
+            queueAsync('message-send-job-' + userId, () =>
+                this.storage.withLock('session:' + userId, () => outmsg.sendToAddr(addr))
+                    .catch(this._onError.bind(this)));
         }
         return outmsg;
     }
@@ -213,7 +231,7 @@ class MessageSender extends eventing.EventTarget {
     }
 
     async _onKeyChange(e) {
-        await this.dispatchEvent(new eventing.KeyChangeEvent(e));
+        await this.dispatchEvent(new eventing.KeyChangeEvent(e, {storage: this.storage}));
     }
 
     _sendSync(content, timestamp, threadId, expirationStartTimestamp) {
@@ -245,6 +263,56 @@ class MessageSender extends eventing.EventTarget {
         return this._send(content, Date.now(), [this.addr]);
     }
 
+    /**
+     * Block a peer and tell our other devices about it.
+     *
+     * @param {string} addr - Address of peer.
+     * @returns {?OutgoingMessage} The blocked list sync message, if the list changed.
+     */
+    async block(addr) {
+        if (await this.storage.block(addr)) {
+            return await this.syncBlocked();
+        }
+    }
+
+    /**
+     * Unblock a peer and tell our other devices about it.
+     *
+     * @param {string} addr - Address of peer.
+     * @returns {?OutgoingMessage} The blocked list sync message, if the list changed.
+     */
+    async unblock(addr) {
+        if (await this.storage.unblock(addr)) {
+            return await this.syncBlocked();
+        }
+    }
+
+    /**
+     * Send our current block list to our other devices.
+     *
+     * @returns {OutgoingMessage}
+     */
+    async syncBlocked() {
+        const blocked = protobufs.SyncMessage.Blocked.create({
+            addrs: await this.storage.getBlocked()
+        });
+        const syncMessage = protobufs.SyncMessage.create({blocked});
+        const content = protobufs.Content.create({syncMessage});
+        return this._send(content, Date.now(), [this.addr]);
+    }
+
+    async _assertNotBlocked(addrs) {
+        const blocked = [];
+        for (const addr of addrs) {
+            if (await this.storage.isBlocked(addr.split('.')[0])) {
+                blocked.push(addr);
+            }
+        }
+        if (blocked.length) {
+            throw new errors.BlockedAddressError(blocked);
+        }
+    }
+
     _scrubSelf(addrs) {
         const nset = new Set(addrs);
         nset.delete(this.addr);
@@ -253,12 +321,13 @@ class MessageSender extends eventing.EventTarget {
 
     async closeSession(encodedAddr, options) {
         const [addr, deviceId] = util.unencodeAddr(encodedAddr);
-        const deviceIds = deviceId ? [deviceId] :  await storage.getDeviceIds(addr);
+        const store = this.storage;
+        const deviceIds = deviceId ? [deviceId] :  await store.getDeviceIds(addr);
 
         async function _closeOpenSessions() {
             await Promise.all(deviceIds.map(deviceId => {
                 const address = new libsignal.ProtocolAddress(addr, deviceId);
-                const sessionCipher = new libsignal.SessionCipher(storage, address);
+                const sessionCipher = new libsignal.SessionCipher(store, address);
                 return sessionCipher.closeOpenSession();
             }));
         }
@@ -274,7 +343,8 @@ class MessageSender extends eventing.EventTarget {
             data: {
                 control: 'closeSession',
                 retransmit: options.retransmit
-            }
+            },
+            allowBlocked: options.allowBlocked
         });
         try {
             await new Promise((resolve, reject) => {
@@ -1,6 +1,7 @@
 // vim: ts=4:sw=4:expandtab
 
 const errors = require('./errors.js');
+const eventing = require('./eventing');
 const libsignal = require('libsignal');
 const protobufs = require('./protobufs');
 const storage = require('./storage');
@@ -49,7 +50,16 @@ const util = require('./util');
  */
 class OutgoingMessage {
 
-    constructor(signal, timestamp, message) {
+    /**
+     * @param {SignalClient} signal
+     * @param {number} timestamp
+     * @param {Object} message - The message protocol buffer.
+     * @param {Object} [options]
+     * @param {module:storage~Storage} [options.storage] - Storage context for this account.
+     */
+    constructor(signal, timestamp, message, options) {
+        options = options || {};
+        this.storage = options.storage || storage.defaultStorage;
         this.signal = signal;
         this.timestamp = timestamp;
         this.message = message;
@@ -75,14 +85,14 @@ class OutgoingMessage {
 
     async _getOurAddr() {
         if (this._ourAddr === undefined) {
-            this._ourAddr = await storage.getState('addr');
+            this._ourAddr = await this.storage.getState('addr');
         }
         return this._ourAddr;
     }
 
     async _getOurDeviceId() {
         if (this._ourDeviceId === undefined) {
-            this._ourDeviceId = await storage.getState('deviceId');
+            this._ourDeviceId = await this.storage.getState('deviceId');
         }
         return this._ourDeviceId;
     }
@@ -134,7 +144,10 @@ class OutgoingMessage {
             throw new TypeError("UntrustedIdentityKeyError required");
         }
         if (!options.forceThrow) {
-            await this._emit('keychange', e);
+            const keyChangeEvent = new eventing.KeyChangeEvent(e, {storage: this.storage});
+            if (!await keyChangeEvent.autoAccept()) {
+                await this._emit('keychange', e);
+            }
         }
         if (!e.accepted) {
             throw e;
@@ -153,7 +166,7 @@ class OutgoingMessage {
                 }
                 device.identityKey = response.identityKey;
                 const address = new libsignal.ProtocolAddress(addr, device.deviceId);
-                const builder = new libsignal.SessionBuilder(storage, address);
+                const builder = new libsignal.SessionBuilder(_this.storage, address);
                 try {
                     await builder.initOutgoing(device);
                 } catch(e) {
@@ -222,7 +235,7 @@ class OutgoingMessage {
     }
 
     async _sendToAddr(addr, recurse) {
-        const deviceIds = await storage.getDeviceIds(addr);
+        const deviceIds = await this.storage.getDeviceIds(addr);
         const paddedMessage = this._getPaddedMessageBuffer();
         let messages;
         let attempts = 0;
@@ -231,7 +244,7 @@ class OutgoingMessage {
             try {
                 messages = await Promise.all(deviceIds.map(async id => {
                     const address = new libsignal.ProtocolAddress(addr, id);
-                    const sessionCipher = new libsignal.SessionCipher(storage, address);
+                    const sessionCipher = new libsignal.SessionCipher(this.storage, address);
                     ciphers[address.deviceId] = sessionCipher;
                     return this._toJSON(address, await sessionCipher.encrypt(paddedMessage));
                 }));
@@ -275,7 +288,7 @@ class OutgoingMessage {
 
     async _sendToDevice(addr, deviceId, recurse) {
         const protoAddr = new libsignal.ProtocolAddress(addr, deviceId);
-        const sessionCipher = new libsignal.SessionCipher(storage, protoAddr);
+        const sessionCipher = new libsignal.SessionCipher(this.storage, protoAddr);
         if (!(await sessionCipher.hasOpenSession())) {
             await this._getKeysForAddr(addr, [deviceId]);
         }
@@ -325,13 +338,13 @@ class OutgoingMessage {
         // new key material for said devices so we can encrypt messages for
         // them.
         const [addr, deviceId] = util.unencodeAddr(encodedAddr);
-        const deviceIds = deviceId ? [deviceId] : await storage.getDeviceIds(addr);
+        const deviceIds = deviceId ? [deviceId] : await this.storage.getDeviceIds(addr);
         if (!deviceIds.length) {
             return;
         }
         const stale = (await Promise.all(deviceIds.map(async id => {
             const address = new libsignal.ProtocolAddress(addr, id);
-            const sessionCipher = new libsignal.SessionCipher(storage, address);
+            const sessionCipher = new libsignal.SessionCipher(this.storage, address);
             return !(await sessionCipher.hasOpenSession()) ? id : null;
         }))).filter(x => x !== null);
         if (stale.length === deviceIds.length) {
@@ -343,11 +356,11 @@ class OutgoingMessage {
 
     async _removeDeviceIdsForAddr(addr, deviceIdsToRemove) {
         if (!deviceIdsToRemove) {
-            await storage.removeAllSessions(addr);
+            await this.storage.removeAllSessions(addr);
         } else {
             for (const id of deviceIdsToRemove) {
                 const encodedAddr = addr + "." + id;
-                await storage.removeSession(encodedAddr);
+                await this.storage.removeSession(encodedAddr);
             }
         }
     }
@@ -0,0 +1,190 @@
+// vim: ts=4:sw=4:expandtab
+
+const eventing = require('./eventing');
+const hub = require('./hub');
+const storage = require('./storage');
+
+
+/**
+ * @event PreKeyMaintainer#lowkeys
+ * @type {module:eventing~Event}
+ * @property {number} count - Prekeys left on the server.
+ * @property {number} lowWater
+ */
+
+/**
+ * @event PreKeyMaintainer#refresh
+ * @type {module:eventing~Event}
+ * @property {number} count - Prekeys uploaded.
+ */
+
+/**
+ * @event PreKeyMaintainer#rotate
+ * @type {module:eventing~Event}
+ * @property {number} keyId - The new signed prekey id.
+ * @property {number[]} pruned - Ids of old signed prekeys that were removed.
+ */
+
+/**
+ * @event PreKeyMaintainer#error
+ * @type {module:eventing~Event}
+ * @property {Error} error
+ */
+
+/**
+ * Keeps our pool of prekeys on the signal server from running dry and
+ * rotates our signed prekey.  The server count is checked on an interval,
+ * whenever one of our prekeys is used and after a {@link MessageReceiver}
+ * connects.
+ *
+ * @fires PreKeyMaintainer#lowkeys
+ * @fires PreKeyMaintainer#refresh
+ * @fires PreKeyMaintainer#rotate
+ * @fires PreKeyMaintainer#error
+ */
+class PreKeyMaintainer extends eventing.EventTarget {
+
+    /**
+     * @param {Object} options
+     * @param {SignalClient} options.signal
+     * @param {module:storage~Storage} [options.storage] - Storage context for this account.
+     * @param {number} [options.interval=3600] - Seconds between checks.
+     * @param {number} [options.lowWater=10] - Replenish when this many or fewer keys remain.
+     * @param {number} [options.fill=100] - Number of keys to upload when replenishing.
+     * @param {number} [options.rotateInterval=172800] - Seconds before the signed prekey is
+     *                                                   replaced (2 days).  0 disables rotation.
+     * @param {number} [options.grace=2592000] - Seconds to keep replaced signed prekeys so
+     *                                           in-flight messages still decrypt (30 days).
+     */
+    constructor({signal, storage: store, interval=3600, lowWater=10, fill=100,
+                 rotateInterval=2 * 86400, grace=30 * 86400}) {
+        super();
+        console.assert(signal);
+        this.signal = signal;
+        this.storage = store || storage.defaultStorage;
+        this.interval = interval;
+        this.lowWater = lowWater;
+        this.fill = fill;
+        this.rotateInterval = rotateInterval;
+        this.grace = grace;
+    }
+
+    /**
+     * Build a default instance.
+     *
+     * @param {Object} [options] - Same as the constructor but `signal` is optional.
+     * @returns {PreKeyMaintainer}
+     */
+    static async factory(options) {
+        options = Object.assign({}, options);
+        const store = options.storage || storage.defaultStorage;
+        if (!options.signal) {
+            options.signal = await hub.SignalClient.factory({storage: store});
+        }
+        return new this(options);
+    }
+
+    /**
+     * Check now and then on every interval until {@link stop} is called.
+     */
+    async start() {
+        if (this._timer) {
+            throw new Error("Already started");
+        }
+        this.storage.preKeyMaintainer = this;
+        this._timer = setInterval(() => this.check(), this.interval * 1000);
+        this._timer.unref();
+        await this.check();
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        if (this.storage.preKeyMaintainer === this) {
+            this.storage.preKeyMaintainer = null;
+        }
+    }
+
+    /**
+     * Replenish the server's prekeys if they are low and rotate the signed
+     * prekey when it is due.  Calls made while a check is running are folded
+     * into a single follow up check.  Failures are reported as `error` events.
+     */
+    async check() {
+        if (this._checking) {
+            this._recheck = true;
+        } else {
+            this._checking = (async () => {
+                try {
+                    do {
+                        this._recheck = false;
+                        await this._check();
+                    } while (this._recheck);
+                } finally {
+                    this._checking = null;
+                }
+            })();
+        }
+        await this._checking;
+    }
+
+    async _check() {
+        try {
+            await this.storage.withLock('prekeys', async () => {
+                // Independent so a failed rotation doesn't hold up refills.
+                for (const task of [this._checkPreKeys, this._checkSignedPreKey]) {
+                    try {
+                        await task.call(this);
+                    } catch(e) {
+                        await this._onError(e);
+                    }
+                }
+            });
+        } catch(e) {
+            await this._onError(e);
+        }
+    }
+
+    async _onError(e) {
+        console.error("Pre-key maintenance failed:", e);
+        const ev = new eventing.Event('error');
+        ev.error = e;
+        await this.dispatchEvent(ev);
+    }
+
+    async _checkPreKeys() {
+        const count = await this.signal.getMyKeys();
+        if (count > this.lowWater) {
+            return;
+        }
+        const lowEvent = new eventing.Event('lowkeys');
+        lowEvent.count = count;
+        lowEvent.lowWater = this.lowWater;
+        await this.dispatchEvent(lowEvent);
+        console.info("Refreshing pre-keys...");
+        // The server replaces existing keys so just go to the hilt.
+        await this.signal.registerKeys(await this.signal.generateKeys(this.fill, undefined,
+                                                                      {grace: this.grace}));
+        const refreshEvent = new eventing.Event('refresh');
+        refreshEvent.count = this.fill;
+        await this.dispatchEvent(refreshEvent);
+    }
+
+    async _checkSignedPreKey() {
+        if (!this.rotateInterval) {
+            return;
+        }
+        const signedPreKeys = await this.storage.getSignedPreKeys();
+        const newest = signedPreKeys[signedPreKeys.length - 1];
+        if (newest && newest.created && Date.now() - newest.created < this.rotateInterval * 1000) {
+            return;
+        }
+        console.info("Rotating signed pre-key...");
+        const ev = new eventing.Event('rotate');
+        ev.keyId = await this.signal.rotateSignedPreKey();
+        ev.pruned = await this.storage.pruneSignedPreKeys(this.grace);
+        await this.dispatchEvent(ev);
+    }
+}
+
+module.exports = PreKeyMaintainer;
@@ -3,7 +3,8 @@ const protobuf = require('protobufjs');
 const proto_files = [
     'IncomingPushMessageSignal.proto',
     'SubProtocol.proto',
-    'DeviceMessages.proto'
+    'DeviceMessages.proto',
+    'Fingerprint.proto'
 ];
 const protodir = __dirname + '/../protos/';
 
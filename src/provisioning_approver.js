@@ -0,0 +1,218 @@
+// vim: ts=4:sw=4:expandtab
+
+const eventing = require('./eventing');
+const node_crypto = require('crypto');
+
+// Seconds a sender's clock may run behind ours before its requests expire early.
+const clockSkew = 60;
+
+
+/**
+ * A request from a new device to be linked to our account.
+ *
+ * @typedef {Object} LinkRequest
+ * @property {string} uuid - Provisioning UUID of the new device.
+ * @property {string} key - Ephemeral public key of the new device (base64).
+ * @property {string} fingerprint - SHA-256 (hex) of `key` for display to a user.
+ * @property {string} [source] - Address that relayed the request.
+ * @property {number} [sourceDevice]
+ * @property {number} timestamp - When the request was made, by the sender's clock.
+ *                                `maxAge` is measured from this.
+ * @property {string} [userAgent]
+ */
+
+/**
+ * Fired for every link request once it is decided.
+ *
+ * @event ProvisioningApprover#audit
+ * @type {module:eventing~Event}
+ * @property {LinkRequest} request
+ * @property {boolean} approved - True if the device was linked.
+ * @property {string} reason - `approved`, `denied`, `timeout`, `expired`, `duplicate`,
+ *                             `untrusted` or `error`.
+ * @property {Error} [error]
+ */
+
+/**
+ * @event ProvisioningApprover#error
+ * @type {module:eventing~Event}
+ * @property {Error} error
+ * @property {LinkRequest} request
+ */
+
+/**
+ * Approves (or denies) requests to link new devices to our account, making
+ * this the primary device for {@link registerDevice} on the new device.
+ * Requests arrive as `provisionRequest` control messages to a
+ * {@link MessageReceiver} or are passed to {@link handleRequest} directly.
+ * Control messages are only accepted from our own address (another of our
+ * devices) and the `trustedSources`; Others are audited as `untrusted`.
+ *
+ * WARNING: An approved device receives our private identity key.
+ *
+ * @fires ProvisioningApprover#audit
+ * @fires ProvisioningApprover#error
+ */
+class ProvisioningApprover extends eventing.EventTarget {
+
+    /**
+     * @param {Object} options
+     * @param {MessageReceiver} [options.receiver] - Source of link requests.  Not needed
+     *                                              if only {@link handleRequest} is used.
+     * @param {Function} options.onRequest - Async callback given a {@link LinkRequest}.
+     *                                       Return true to link the device.
+     * @param {SignalClient} [options.signal] - Defaults to the receiver's.
+     * @param {number} [options.timeout=120] - Seconds to wait for `onRequest` before denying.
+     * @param {number} [options.maxAge=300] - Seconds after which requests are ignored.
+     *                                        Senders' clocks are allowed to be up to a
+     *                                        minute behind ours.
+     * @param {string} [options.userAgent] - Passed to {@link SignalClient#linkDevice}.
+     * @param {string[]} [options.trustedSources] - Addresses besides our own allowed to
+     *                                             relay requests, e.g. the Atlas
+     *                                             provisioning user.
+     */
+    constructor({receiver, onRequest, signal, timeout=120, maxAge=300, userAgent,
+                 trustedSources=[]}) {
+        super();
+        if (typeof onRequest !== 'function') {
+            throw new TypeError("onRequest callback required");
+        }
+        this.receiver = receiver;
+        this.signal = signal || (receiver && receiver.signal);
+        if (!this.signal) {
+            throw new TypeError("signal or receiver required");
+        }
+        this.onRequest = onRequest;
+        this.timeout = timeout;
+        this.maxAge = maxAge;
+        this.userAgent = userAgent;
+        this.trustedSources = new Set(trustedSources);
+        this._seen = new Map();
+        this._onMessage = this.onMessage.bind(this);
+    }
+
+    /**
+     * Start handling link requests from the receiver.
+     */
+    start() {
+        this.receiver.addEventListener('message', this._onMessage);
+    }
+
+    stop() {
+        this.receiver.removeEventListener('message', this._onMessage);
+    }
+
+    async onMessage(ev) {
+        const ex = ev.data.exchange;
+        if (ex.getMessageType() !== 'control' ||
+            ex.getDataProperty('control') !== 'provisionRequest') {
+            return;
+        }
+        const request = {
+            uuid: ex.getDataProperty('uuid'),
+            key: ex.getDataProperty('key'),
+            source: ev.data.source,
+            sourceDevice: ev.data.sourceDevice,
+            timestamp: ev.data.timestamp,
+            userAgent: ex.getUserAgent()
+        };
+        if (!request.uuid || !request.key) {
+            console.warn("Ignoring invalid provision request from:", request.source);
+            return;
+        }
+        if (request.source !== this.receiver.addr && !this.trustedSources.has(request.source)) {
+            console.warn("Ignoring provision request from untrusted source:", request.source);
+            await this._audit(this._prepare(request), false, 'untrusted');
+            return;
+        }
+        // Not awaited so waiting on a decision doesn't hold up other messages.
+        this.handleRequest(request).catch(e => this._fail(request, e));
+    }
+
+    /**
+     * Ask `onRequest` about a link request and link the device if approved.
+     *
+     * @param {Object} request - A {@link LinkRequest}; `fingerprint` and
+     *                           `timestamp` are optional.
+     * @returns {boolean} True if the device was linked.
+     */
+    async handleRequest(request) {
+        if (!request.uuid || !request.key) {
+            throw new TypeError("uuid and key required");
+        }
+        request = this._prepare(request);
+        const now = Date.now();
+        const window = (this.maxAge + clockSkew) * 1000;
+        for (const [uuid, expires] of this._seen) {
+            if (expires < now) {
+                this._seen.delete(uuid);
+            }
+        }
+        if (request.timestamp < now - window) {
+            return await this._audit(request, false, 'expired');
+        }
+        if (this._seen.has(request.uuid)) {
+            return await this._audit(request, false, 'duplicate');
+        }
+        // Remembered for as long as the request could still be accepted.
+        this._seen.set(request.uuid, Math.max(now, request.timestamp) + window);
+        let approved;
+        try {
+            approved = await this._ask(request);
+        } catch(e) {
+            return await this._fail(request, e);
+        }
+        if (approved === undefined) {
+            return await this._audit(request, false, 'timeout');
+        } else if (!approved) {
+            return await this._audit(request, false, 'denied');
+        }
+        try {
+            await this.signal.linkDevice(request.uuid, request.key, {userAgent: this.userAgent});
+        } catch(e) {
+            return await this._fail(request, e);
+        }
+        return await this._audit(request, true, 'approved');
+    }
+
+    _prepare(request) {
+        request = Object.assign({timestamp: Date.now()}, request);
+        request.fingerprint = node_crypto.createHash('sha256')
+            .update(Buffer.from(request.key, 'base64')).digest('hex');
+        return request;
+    }
+
+    async _ask(request) {
+        let timer;
+        const timeout = new Promise(resolve => timer = setTimeout(resolve, this.timeout * 1000));
+        try {
+            return await Promise.race([
+                Promise.resolve(this.onRequest(request)).then(x => !!x),
+                timeout
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async _fail(request, error) {
+        console.error("Device link request failed:", error);
+        const ev = new eventing.Event('error');
+        ev.error = error;
+        ev.request = request;
+        await this.dispatchEvent(ev);
+        return await this._audit(request, false, 'error', error);
+    }
+
+    async _audit(request, approved, reason, error) {
+        const ev = new eventing.Event('audit');
+        ev.request = request;
+        ev.approved = approved;
+        ev.reason = reason;
+        ev.error = error;
+        await this.dispatchEvent(ev);
+        return approved;
+    }
+}
+
+module.exports = ProvisioningApprover;
@@ -33,29 +33,28 @@ class ProvisioningCipher {
         };
     }
 
+    /**
+     * @param {Buffer} theirPublicKey
+     * @param {Buffer} message - Encoded ProvisionMessage.
+     * @returns {Object} ProvisionEnvelope message.
+     */
     encrypt(theirPublicKey, message) {
         assert(theirPublicKey instanceof Buffer);
+        assert(message instanceof Buffer);
         const ourKeyPair = libsignal.curve.generateKeyPair();
         const sharedSecret = libsignal.curve.calculateAgreement(theirPublicKey,
                                                                 ourKeyPair.privKey);
         const derivedSecret = libsignal.crypto.deriveSecrets(sharedSecret, Buffer.alloc(32),
             Buffer.from("TextSecure Provisioning Message"));
-        const ivLen = 16;
-        const macLen = 32;
-        const iv = crypto.randomBytes(ivLen);
+        const iv = crypto.randomBytes(16);
         const encryptedMsg = libsignal.crypto.encrypt(derivedSecret[0], message, iv);
-        const msgLen = encryptedMsg.byteLength;
-        const data = new Uint8Array(1 + ivLen + msgLen);
-        data[0] = 1;  // Version
-        data.set(iv, 1);
-        data.set(new Uint8Array(encryptedMsg), 1 + ivLen);
-        const mac = libsignal.crypto.calculateMAC(derivedSecret[1], data.buffer);
-        const pEnvelope = new protobufs.ProvisionEnvelope();
-        pEnvelope.body = new Uint8Array(data.byteLength + macLen);
-        pEnvelope.body.set(data, 0);
-        pEnvelope.body.set(new Uint8Array(mac), data.byteLength);
-        pEnvelope.publicKey = ourKeyPair.pubKey;
-        return pEnvelope;
+        const version = Buffer.from([1]);
+        const data = Buffer.concat([version, iv, encryptedMsg]);
+        const mac = libsignal.crypto.calculateMAC(derivedSecret[1], data);
+        return protobufs.ProvisionEnvelope.create({
+            publicKey: ourKeyPair.pubKey,
+            body: Buffer.concat([data, mac])
+        });
     }
 
     getPublicKey() {
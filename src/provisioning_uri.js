@@ -0,0 +1,92 @@
+// vim: ts=4:sw=4:expandtab
+
+/**
+ * Provisioning links for registering a device without Atlas
+ * auto-provisioning.  The new device shows a link (usually as a QR code)
+ * made from the values given to the `onProvisionReady` callback of
+ * {@link registerDevice}, and the approving device parses it.  Links use
+ * the `tsdevice:` format shared with Signal clients.
+ *
+ * @module provisioning_uri
+ * @example
+ * // New device
+ * const registration = await relay.registerDevice({
+ *     autoProvision: false,
+ *     onProvisionReady: (uuid, key) => console.info(provisioningUri.render(provisioningUri.encode(uuid, key)))
+ * });
+ * // Approving device
+ * await approver.handleRequest(provisioningUri.parse(scannedLink));
+ */
+
+const qrcode = require('qrcode-terminal');
+const querystring = require('querystring');
+
+const scheme = 'tsdevice:';
+
+
+/**
+ * @param {string} uuid - Provisioning UUID of the new device.
+ * @param {(string|Buffer)} key - Ephemeral public key of the new device (base64 if a string).
+ * @returns {string} Provisioning link.
+ */
+function encode(uuid, key) {
+    if (!uuid || !key) {
+        throw new TypeError("uuid and key required");
+    }
+    if (key instanceof Buffer) {
+        key = key.toString('base64');
+    }
+    return scheme + '/?' + querystring.stringify({uuid, pub_key: key});
+}
+
+
+/**
+ * @param {string} uri - Provisioning link from {@link encode}.
+ * @returns {{uuid: string, key: string}} The base64 `key` and `uuid`, suitable for
+ *          {@link ProvisioningApprover#handleRequest} or {@link SignalClient#linkDevice}.
+ */
+function parse(uri) {
+    uri = uri.trim();
+    if (!uri.startsWith(scheme)) {
+        throw new TypeError("Invalid provisioning link: " + uri);
+    }
+    const query = querystring.parse(uri.substr(uri.indexOf('?') + 1));
+    const uuid = query.uuid;
+    // Unescaped `+` in base64 is read as a space.
+    const key = typeof query.pub_key === 'string' ? query.pub_key.replace(/ /g, '+') : undefined;
+    if (!uri.includes('?') || typeof uuid !== 'string' || typeof key !== 'string' ||
+        Buffer.from(key, 'base64').length !== 33) {
+        throw new TypeError("Invalid provisioning link: " + uri);
+    }
+    return {uuid, key};
+}
+
+
+/**
+ * Render a provisioning link for display in a terminal.
+ *
+ * @param {string} uri - Provisioning link from {@link encode}.
+ * @param {Object} [options]
+ * @param {string} [options.format=qr] - `qr` for a QR code or `text` for just the link.
+ * @param {boolean} [options.small=true] - Render the QR code with half height blocks.
+ * @returns {string}
+ */
+function render(uri, options) {
+    options = options || {};
+    const format = options.format || 'qr';
+    if (format === 'text') {
+        return uri;
+    } else if (format !== 'qr') {
+        throw new TypeError("Invalid format: " + format);
+    }
+    let output;
+    qrcode.generate(uri, {small: options.small !== false}, x => output = x);
+    return output;
+}
+
+
+module.exports = {
+    encode,
+    parse,
+    render
+};
@@ -0,0 +1,103 @@
+// vim: ts=4:sw=4:expandtab
+
+/**
+ * Passphrase encrypted container used for account backups.
+ *
+ * Layout: MAGIC(4) | VERSION(1) | ITERATIONS(4) | SALT(16) | IV(12) | TAG(16) | CIPHERTEXT
+ *
+ * @module storage/archive
+ */
+
+const crypto = require('crypto');
+
+const magic = Buffer.from('LRBK');
+const version = 1;
+const saltLen = 16;
+const ivLen = 12;
+const tagLen = 16;
+const headerLen = magic.length + 1 + 4 + saltLen + ivLen + tagLen;
+const defaultIterations = 100000;
+
+
+function deriveKey(passphrase, salt, iterations) {
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(passphrase, salt, iterations, 32, 'sha256', (err, key) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(key);
+            }
+        });
+    });
+}
+
+
+/**
+ * Encrypt a JSON serializable object.
+ *
+ * @param {Object} payload
+ * @param {string} passphrase
+ * @param {number} [iterations=100000] - PBKDF2 iterations.
+ * @returns {Buffer}
+ */
+async function seal(payload, passphrase, iterations) {
+    if (!passphrase) {
+        throw new TypeError("passphrase required");
+    }
+    iterations = iterations || defaultIterations;
+    const salt = crypto.randomBytes(saltLen);
+    const iv = crypto.randomBytes(ivLen);
+    const key = await deriveKey(passphrase, salt, iterations);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const header = Buffer.alloc(magic.length + 1 + 4);
+    magic.copy(header);
+    header.writeUInt8(version, magic.length);
+    header.writeUInt32BE(iterations, magic.length + 1);
+    cipher.setAAD(header);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload)), cipher.final()]);
+    return Buffer.concat([header, salt, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+
+/**
+ * Decrypt a buffer produced by {@link seal}.
+ *
+ * @param {Buffer} data
+ * @param {string} passphrase
+ * @returns {Object}
+ */
+async function open(data, passphrase) {
+    if (!passphrase) {
+        throw new TypeError("passphrase required");
+    }
+    if (!(data instanceof Buffer) || data.length < headerLen ||
+        !data.slice(0, magic.length).equals(magic)) {
+        throw new TypeError("Invalid archive");
+    }
+    if (data.readUInt8(magic.length) !== version) {
+        throw new TypeError("Unsupported archive version: " + data.readUInt8(magic.length));
+    }
+    const iterations = data.readUInt32BE(magic.length + 1);
+    let offt = magic.length + 1 + 4;
+    const header = data.slice(0, offt);
+    const salt = data.slice(offt, offt += saltLen);
+    const iv = data.slice(offt, offt += ivLen);
+    const tag = data.slice(offt, offt += tagLen);
+    const key = await deriveKey(passphrase, salt, iterations);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(header);
+    decipher.setAuthTag(tag);
+    let plaintext;
+    try {
+        plaintext = Buffer.concat([decipher.update(data.slice(offt)), decipher.final()]);
+    } catch(e) {
+        throw new Error("Invalid archive passphrase or corrupt archive");
+    }
+    return JSON.parse(plaintext);
+}
+
+
+module.exports = {
+    seal,
+    open
+};
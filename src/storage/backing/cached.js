@@ -0,0 +1,281 @@
+const StorageInterface = require('./interface');
+
+const defaultLimits = {
+    state: 100,
+    session: 1000,
+    identitykey: 1000,
+    signedprekey: 10
+};
+
+
+/**
+ * Wraps another {@link module:storage/backing~StorageInterface} with a per
+ * namespace LRU cache.  Reads are served from the cache when possible and
+ * writes go through to the inner backing before the cache is updated.
+ *
+ * Note that writes made by other processes sharing the same backing are not
+ * seen until the entry is evicted or {@link invalidate} is called.  The same
+ * goes for their ttls; Only expirations set through this instance are known.
+ * {@link module:storage~Storage#withLock} invalidates the entries a lock
+ * covers once it is acquired, so locked work always reads fresh records.
+ */
+class CachedBacking extends StorageInterface {
+
+    /**
+     * @param {string} label
+     * @param {module:storage/backing~StorageInterface} backing - Inner backing instance.
+     * @param {Object} [options]
+     * @param {Object} [options.limits] - Max entries per namespace.  Namespaces
+     *                                    without a limit are not cached.
+     */
+    constructor(label, backing, options) {
+        super(label);
+        options = options || {};
+        this.backing = backing;
+        this.limits = Object.assign({}, options.limits || defaultLimits);
+        this.caches = new Map();
+        this.expires = new Map();  // ns/key -> expiration (ms) for keys set with a ttl
+        this.stats = {};
+        this._generation = 0;
+    }
+
+    _cache(ns) {
+        if (!this.limits[ns]) {
+            return;
+        }
+        let cache = this.caches.get(ns);
+        if (!cache) {
+            cache = new Map();
+            this.caches.set(ns, cache);
+        }
+        return cache;
+    }
+
+    _count(ns, stat) {
+        if (!this.stats[ns]) {
+            this.stats[ns] = {hits: 0, misses: 0, evictions: 0};
+        }
+        this.stats[ns][stat]++;
+    }
+
+    _put(ns, key, value) {
+        const cache = this._cache(ns);
+        if (!cache) {
+            return;
+        }
+        cache.delete(key);
+        cache.set(key, value);
+        while (cache.size > this.limits[ns]) {
+            cache.delete(cache.keys().next().value);
+            this._count(ns, 'evictions');
+        }
+    }
+
+    _expired(ns, key) {
+        const id = ns + '/' + key;
+        const expires = this.expires.get(id);
+        if (expires !== undefined && expires <= Date.now()) {
+            this.expires.delete(id);
+            return true;
+        }
+        return false;
+    }
+
+    _setExpires(ns, key, ttl) {
+        const id = ns + '/' + key;
+        if (ttl) {
+            this.expires.set(id, Date.now() + ttl * 1000);
+        } else {
+            this.expires.delete(id);
+        }
+    }
+
+    _drop(ns, key) {
+        this._generation++;
+        const cache = this.caches.get(ns);
+        if (cache) {
+            cache.delete(key);
+        }
+    }
+
+    /**
+     * Drop cached entries.
+     *
+     * @param {string} [ns] - Limit to this namespace, otherwise everything is dropped.
+     * @param {(string|RegExp)} [key] - Limit to this key (or matching keys) within `ns`.
+     */
+    invalidate(ns, key) {
+        this._generation++;
+        if (ns === undefined) {
+            this.caches.clear();
+        } else if (key === undefined) {
+            this.caches.delete(ns);
+        } else if (key instanceof RegExp) {
+            const cache = this.caches.get(ns);
+            if (cache) {
+                for (const x of Array.from(cache.keys())) {
+                    if (x.match(key)) {
+                        cache.delete(x);
+                    }
+                }
+            }
+        } else {
+            this._drop(ns, key);
+        }
+    }
+
+    /**
+     * @returns {Object} Hit, miss and eviction counters along with the current
+     *                   size and limit, indexed by namespace.
+     */
+    getStats() {
+        const stats = {};
+        for (const ns of new Set(Object.keys(this.limits).concat(Object.keys(this.stats)))) {
+            const cache = this.caches.get(ns);
+            stats[ns] = Object.assign({hits: 0, misses: 0, evictions: 0}, this.stats[ns], {
+                size: cache ? cache.size : 0,
+                limit: this.limits[ns] || 0
+            });
+        }
+        return stats;
+    }
+
+    /**
+     * Reset the hit, miss and eviction counters.
+     */
+    resetStats() {
+        this.stats = {};
+    }
+
+    async initialize() {
+        this.invalidate();
+        await this.backing.initialize();
+    }
+
+    async set(ns, key, value, ttl) {
+        this._generation++;
+        try {
+            await this.backing.set(ns, key, value, ttl);
+        } catch(e) {
+            this._drop(ns, key);
+            throw e;
+        }
+        this._setExpires(ns, key, ttl);
+        this._put(ns, key, value);
+    }
+
+    async batch(ops) {
+        this._generation++;
+        try {
+            await this.backing.batch(ops);
+        } catch(e) {
+            for (const x of ops) {
+                this._drop(x.ns, x.key);
+            }
+            throw e;
+        }
+        for (const x of ops) {
+            if (x.op === 'set') {
+                this._setExpires(x.ns, x.key, x.ttl);
+                this._put(x.ns, x.key, x.value);
+            } else {
+                this._setExpires(x.ns, x.key);
+                this._drop(x.ns, x.key);
+            }
+        }
+    }
+
+    async get(ns, key) {
+        if (this._expired(ns, key)) {
+            this._drop(ns, key);
+        }
+        const cache = this._cache(ns);
+        if (cache && cache.has(key)) {
+            this._count(ns, 'hits');
+            const value = cache.get(key);
+            cache.delete(key);
+            cache.set(key, value);
+            return value;
+        }
+        if (cache) {
+            this._count(ns, 'misses');
+        }
+        // Don't let a slow read clobber a write that happened while it was in flight.
+        const generation = this._generation;
+        const value = await this.backing.get(ns, key);
+        if (generation === this._generation) {
+            this._put(ns, key, value);
+        }
+        return value;
+    }
+
+    async has(ns, key) {
+        if (this._expired(ns, key)) {
+            this._drop(ns, key);
+        }
+        const cache = this.caches.get(ns);
+        if (cache && cache.has(key)) {
+            this._count(ns, 'hits');
+            return true;
+        }
+        return await this.backing.has(ns, key);
+    }
+
+    async remove(ns, key) {
+        this._setExpires(ns, key);
+        this._drop(ns, key);
+        try {
+            return await this.backing.remove(ns, key);
+        } finally {
+            this._drop(ns, key);
+        }
+    }
+
+    async keys(ns, regex) {
+        return await this.backing.keys(ns, regex);
+    }
+
+    async ttl(ns, key) {
+        return await this.backing.ttl(ns, key);
+    }
+
+    async namespaces() {
+        return await this.backing.namespaces();
+    }
+
+    async shutdown() {
+        this.invalidate();
+        await this.backing.shutdown();
+    }
+
+    async sweep() {
+        for (const id of Array.from(this.expires.keys())) {
+            const [ns, key] = [id.substr(0, id.indexOf('/')), id.substr(id.indexOf('/') + 1)];
+            if (this._expired(ns, key)) {
+                this._drop(ns, key);
+            }
+        }
+        return await this.backing.sweep();
+    }
+
+    async watch(callback) {
+        // Changes from other processes make our cached copies stale.
+        await this.backing.watch(change => {
+            this.invalidate(change.ns, change.key);
+            callback(change);
+        });
+    }
+
+    async unwatch() {
+        await this.backing.unwatch();
+    }
+
+    createLockProvider(options) {
+        return this.backing.createLockProvider(options);
+    }
+}
+
+CachedBacking.defaultLimits = defaultLimits;
+StorageInterface.delegateEvents(CachedBacking);
+
+module.exports = CachedBacking;
@@ -0,0 +1,241 @@
+const StorageInterface = require('./interface');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const metaNS = '_encryption';
+const metaKey = 'params';
+const valuePrefix = 'enc1:';
+const checkPlaintext = 'librelay-storage-encryption';
+const cipherAlgo = 'aes-256-gcm';
+const ivLen = 12;
+const tagLen = 16;
+
+
+function pbkdf2(secret, salt, iterations) {
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(secret, salt, iterations, 32, 'sha256', (err, key) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(key);
+            }
+        });
+    });
+}
+
+
+function readKeyFile(file) {
+    return new Promise((resolve, reject) => fs.readFile(file, (err, data) => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve(data);
+        }
+    }));
+}
+
+
+/**
+ * Wraps another {@link module:storage/backing~StorageInterface} and encrypts
+ * every value (AES-256-GCM) before it reaches the inner backing.  The key is
+ * derived from a passphrase or key file with PBKDF2 and verified against a
+ * check value kept in the `_encryption` namespace, so a wrong key fails
+ * during {@link initialize} instead of corrupting data.
+ *
+ * Stores that were written without encryption are upgraded in place the
+ * first time they are opened with a key.  The key parameters are saved
+ * before the upgrade starts, so an interrupted upgrade is finished the next
+ * time the store is opened.
+ */
+class EncryptedBacking extends StorageInterface {
+
+    /**
+     * @param {string} label
+     * @param {module:storage/backing~StorageInterface} backing - Inner backing instance.
+     * @param {Object} options
+     * @param {string} [options.passphrase]
+     * @param {string} [options.keyFile] - Path to a file whose contents are the key material.
+     * @param {number} [options.iterations=100000] - PBKDF2 iterations for new stores.
+     * @param {string[]} [options.namespaces] - Namespaces to encrypt when upgrading
+     *                                          an unencrypted store.
+     */
+    constructor(label, backing, options) {
+        super(label);
+        options = options || {};
+        if (!options.passphrase && !options.keyFile) {
+            throw new TypeError("passphrase or keyFile required");
+        }
+        this.backing = backing;
+        this.passphrase = options.passphrase;
+        this.keyFile = options.keyFile;
+        this.iterations = options.iterations || 100000;
+        this.upgradeNamespaces = options.namespaces || [];
+    }
+
+    async initialize() {
+        await this.backing.initialize();
+        const secret = this.keyFile ? await readKeyFile(this.keyFile) : this.passphrase;
+        let params;
+        if (await this.backing.has(metaNS, metaKey)) {
+            params = JSON.parse((await this.backing.get(metaNS, metaKey)).toString());
+            this.key = await pbkdf2(secret, Buffer.from(params.salt, 'base64'), params.iterations);
+            let check;
+            try {
+                check = this._decrypt(metaNS, metaKey, params.check);
+            } catch(e) {
+                check = null;
+            }
+            if (check !== checkPlaintext) {
+                this.key = null;
+                throw new Error("Invalid storage encryption key");
+            }
+        } else {
+            const salt = crypto.randomBytes(16);
+            this.key = await pbkdf2(secret, salt, this.iterations);
+            params = {
+                version: 1,
+                kdf: 'pbkdf2-sha256',
+                iterations: this.iterations,
+                salt: salt.toString('base64'),
+                check: this._encrypt(metaNS, metaKey, checkPlaintext),
+                upgrading: true
+            };
+            await this.backing.set(metaNS, metaKey, JSON.stringify(params));
+        }
+        if (params.upgrading) {
+            await this.upgrade(this.upgradeNamespaces);
+            delete params.upgrading;
+            await this.backing.set(metaNS, metaKey, JSON.stringify(params));
+        }
+    }
+
+    _assertKey() {
+        if (!this.key) {
+            throw new Error("Tried to use uninitialized store");
+        }
+    }
+
+    _encrypt(ns, key, value) {
+        const iv = crypto.randomBytes(ivLen);
+        const cipher = crypto.createCipheriv(cipherAlgo, this.key, iv);
+        cipher.setAAD(Buffer.from(`${ns}/${key}`));
+        const ciphertext = Buffer.concat([cipher.update(value), cipher.final()]);
+        return valuePrefix + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    }
+
+    _decrypt(ns, key, value) {
+        value = value.toString();
+        if (!value.startsWith(valuePrefix)) {
+            throw new Error(`Unencrypted value found: ${ns}/${key}`);
+        }
+        const data = Buffer.from(value.substr(valuePrefix.length), 'base64');
+        const decipher = crypto.createDecipheriv(cipherAlgo, this.key, data.slice(0, ivLen));
+        decipher.setAAD(Buffer.from(`${ns}/${key}`));
+        decipher.setAuthTag(data.slice(ivLen, ivLen + tagLen));
+        return Buffer.concat([decipher.update(data.slice(ivLen + tagLen)),
+                              decipher.final()]).toString();
+    }
+
+    /**
+     * Encrypt any plaintext values found in the given namespaces.  Values that
+     * already decrypt with our key are left alone, so an interrupted upgrade
+     * can simply be run again.  Keys with a ttl keep their expiration time.
+     *
+     * @param {string[]} namespaces
+     */
+    async upgrade(namespaces) {
+        this._assertKey();
+        for (const ns of namespaces) {
+            for (const key of await this.backing.keys(ns)) {
+                const value = (await this.backing.get(ns, key)).toString();
+                if (!value.startsWith(valuePrefix)) {
+                    const ttl = await this.backing.ttl(ns, key);
+                    if (ttl === null || ttl > 0) {
+                        await this.backing.set(ns, key, this._encrypt(ns, key, value), ttl);
+                    }
+                    continue;
+                }
+                try {
+                    this._decrypt(ns, key, value);
+                } catch(e) {
+                    throw new Error(`Value encrypted with a different key: ${ns}/${key}`);
+                }
+            }
+        }
+    }
+
+    async set(ns, key, value, ttl) {
+        this._assertKey();
+        if (value === undefined) {
+            throw new Error("Tried to store undefined");
+        }
+        await this.backing.set(ns, key, this._encrypt(ns, key, value), ttl);
+    }
+
+    async batch(ops) {
+        this._assertKey();
+        await this.backing.batch(ops.map(x => {
+            if (x.op === 'set') {
+                if (x.value === undefined) {
+                    throw new Error("Tried to store undefined");
+                }
+                return Object.assign({}, x, {value: this._encrypt(x.ns, x.key, x.value)});
+            }
+            return x;
+        }));
+    }
+
+    async get(ns, key) {
+        this._assertKey();
+        return this._decrypt(ns, key, await this.backing.get(ns, key));
+    }
+
+    async has(ns, key) {
+        return await this.backing.has(ns, key);
+    }
+
+    async remove(ns, key) {
+        return await this.backing.remove(ns, key);
+    }
+
+    async keys(ns, regex) {
+        return await this.backing.keys(ns, regex);
+    }
+
+    async ttl(ns, key) {
+        return await this.backing.ttl(ns, key);
+    }
+
+    async namespaces() {
+        return (await this.backing.namespaces()).filter(x => x !== metaNS);
+    }
+
+    async shutdown() {
+        this.key = null;
+        await this.backing.shutdown();
+    }
+
+    async sweep() {
+        return await this.backing.sweep();
+    }
+
+    async watch(callback) {
+        await this.backing.watch(change => {
+            if (change.ns !== metaNS) {
+                callback(change);
+            }
+        });
+    }
+
+    async unwatch() {
+        await this.backing.unwatch();
+    }
+
+    createLockProvider(options) {
+        return this.backing.createLockProvider(options);
+    }
+}
+
+StorageInterface.delegateEvents(EncryptedBacking);
+
+module.exports = EncryptedBacking;
@@ -2,6 +2,14 @@ const StorageInterface = require('./interface');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const process = require('process');
+const queueAsync = require('../../queue_async');
+const util = require('../../util');
+
+const dirMode = 0o700;
+const fileMode = 0o600;
+const heldLocks = new Map();  // lock file -> refcount for this process
+let tmpCounter = 0;
 
 
 async function mkdirp(dir, mode) {
@@ -39,28 +47,28 @@ async function is_file(path) {
     }
 }
 
-async function fwritefile(file, data) {
-    return await new Promise((resolve, reject) => fs.writeFile(file, data, err => {
+async function freadfile(file, data) {
+    return await new Promise((resolve, reject) => fs.readFile(file, (err, data) => {
         if (err) {
             reject(err);
         } else {
-            resolve();
+            resolve(data);
         }
     }));
 }
 
-async function freadfile(file, data) {
-    return await new Promise((resolve, reject) => fs.readFile(file, (err, data) => {
+async function funlink(path) {
+    return await new Promise((resolve, reject) => fs.unlink(path, err => {
         if (err) {
             reject(err);
         } else {
-            resolve(data);
+            resolve();
         }
     }));
 }
 
-async function funlink(path) {
-    return await new Promise((resolve, reject) => fs.unlink(path, err => {
+async function frename(oldPath, newPath) {
+    return await new Promise((resolve, reject) => fs.rename(oldPath, newPath, err => {
         if (err) {
             reject(err);
         } else {
@@ -79,23 +87,443 @@ async function freaddir(path) {
     }));
 }
 
+async function is_dir(path) {
+    try {
+        return (await fstat(path)).isDirectory();
+    } catch(e) {
+        return false;
+    }
+}
+
+async function fchmod(path, mode) {
+    return await new Promise((resolve, reject) => fs.chmod(path, mode, err => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve();
+        }
+    }));
+}
+
+async function fopen(path, flags, mode) {
+    return await new Promise((resolve, reject) => fs.open(path, flags, mode, (err, fd) => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve(fd);
+        }
+    }));
+}
+
+async function fclose(fd) {
+    return await new Promise((resolve, reject) => fs.close(fd, err => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve();
+        }
+    }));
+}
+
+async function ffsync(fd) {
+    return await new Promise((resolve, reject) => fs.fsync(fd, err => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve();
+        }
+    }));
+}
+
+async function fwritefd(fd, data) {
+    return await new Promise((resolve, reject) => fs.writeFile(fd, data, err => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve();
+        }
+    }));
+}
+
+async function fwriteatomic(file, data) {
+    /* Write to a private temp file in the same dir, flush it to disk and then
+     * rename it over the target so readers never see a partial file. */
+    const tmp = path.join(path.dirname(file),
+        `.tmp-${process.pid}-${tmpCounter++}-${path.basename(file)}`);
+    const fd = await fopen(tmp, 'wx', fileMode);
+    try {
+        await fwritefd(fd, data);
+        await ffsync(fd);
+    } catch(e) {
+        await fclose(fd);
+        await funlink(tmp);
+        throw e;
+    }
+    await fclose(fd);
+    await frename(tmp, file);
+}
+
+function escapeName(name) {
+    /* Percent encode anything that could escape or collide within a directory.
+     * Names starting with a dot are reserved for temp and lock files. */
+    if (typeof name !== 'string' || !name.length) {
+        throw new TypeError("Invalid storage key: " + name);
+    }
+    const encode = c => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0');
+    return name.replace(/[%/\\\0]/g, encode).replace(/^\./, encode);
+}
+
+function unescapeName(name) {
+    /* Only the sequences produced by escapeName are decoded. */
+    return name.replace(/%(25|2F|5C|00|2E)/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch(e) {
+        return e.code === 'EPERM';
+    }
+}
+
+let exitHandlerInstalled = false;
+function installExitHandler() {
+    /* Remove our lock files on exit.  Installed with the first lock so merely
+     * requiring this module doesn't touch the process. */
+    if (exitHandlerInstalled) {
+        return;
+    }
+    exitHandlerInstalled = true;
+    process.on('exit', () => {
+        for (const file of heldLocks.keys()) {
+            try {
+                fs.unlinkSync(file);
+            } catch(e) {/* Best effort */}
+        }
+    });
+}
+
+
+/**
+ * @typedef {Object} FSOptions
+ * @property {boolean} [lock=true] - Hold an advisory lock on the label so other
+ *                                   processes can't use it at the same time.
+ * @property {number} [lockTimeout=0] - Seconds to wait for another process to
+ *                                      release the lock before failing.
+ *
+ * Key expiration times are kept in memory (and a `.expires` file per
+ * namespace), so they are only reliable while the lock is in use.
+ */
+
 class FSBacking extends StorageInterface {
 
-    constructor(label) {
+    /**
+     * @param {string} label
+     * @param {Object} [options]
+     * @param {FSOptions} [options.fs]
+     * @param {number} [options.sweepInterval=60] - Seconds between sweeps of expired keys.
+     */
+    constructor(label, options) {
         super(label);
+        this.sweepInterval = options && options.sweepInterval;
+        this.expiries = new Map();  // ns -> key -> expiration (ms)
+        const fsOptions = Object.assign({}, options && options.fs);
         const version = 1;
         this.root = path.join(os.homedir(), '.librelay/storage', label, 'v' + version);
+        this.journal = path.join(this.root, 'journal');
+        this.lockFile = path.join(this.root, '.lock');
+        this.useLock = fsOptions.lock !== false;
+        this.lockTimeout = fsOptions.lockTimeout || 0;
+    }
+
+    async initialize() {
+        await mkdirp(this.root, dirMode);
+        if (this.useLock && !this.locked) {
+            await this.lock();
+        }
+        await this.tightenPermissions();
+        this.expiries.clear();
+        await this.replayJournal();
+        this._startSweeper(this.sweepInterval);
+    }
+
+    async shutdown() {
+        this._stopSweeper();
+        if (this.locked) {
+            await this.unlock();
+        }
+    }
+
+    /**
+     * Take the advisory lock for this label.  Locks left behind by processes
+     * that are no longer running are taken over.  Several backings in the
+     * same process share the lock.
+     */
+    async lock() {
+        await queueAsync(this.lockFile, () => this._lock());
     }
 
-    async set(ns, key, value) {
-        const dir = path.join(this.root, ns);
+    async _lock() {
+        const deadline = Date.now() + this.lockTimeout * 1000;
+        while (true) {
+            if (heldLocks.has(this.lockFile)) {
+                heldLocks.set(this.lockFile, heldLocks.get(this.lockFile) + 1);
+                this.locked = true;
+                return;
+            }
+            let fd;
+            try {
+                fd = await fopen(this.lockFile, 'wx', fileMode);
+            } catch(e) {
+                if (e.code !== 'EEXIST') {
+                    throw e;
+                }
+            }
+            if (fd !== undefined) {
+                try {
+                    await fwritefd(fd, JSON.stringify({pid: process.pid, host: os.hostname()}));
+                } finally {
+                    await fclose(fd);
+                }
+                installExitHandler();
+                heldLocks.set(this.lockFile, 1);
+                this.locked = true;
+                return;
+            }
+            let owner;
+            try {
+                owner = JSON.parse(await freadfile(this.lockFile));
+            } catch(e) {
+                owner = {};  // Racing with the owner writing or removing it.
+            }
+            if (owner.pid && owner.host === os.hostname() && !isProcessAlive(owner.pid)) {
+                console.warn("Removing stale storage lock:", this.lockFile);
+                try {
+                    await funlink(this.lockFile);
+                } catch(e) {
+                    if (e.code !== 'ENOENT') {
+                        throw e;
+                    }
+                }
+                continue;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Storage label "${this.label}" is locked by another ` +
+                                `process (${owner.host}:${owner.pid})`);
+            }
+            await util.sleep(0.1);
+        }
+    }
+
+    /**
+     * Release the advisory lock taken by {@link lock}.
+     */
+    async unlock() {
+        this.locked = false;
+        const refs = heldLocks.get(this.lockFile) - 1;
+        if (refs > 0) {
+            heldLocks.set(this.lockFile, refs);
+            return;
+        }
+        heldLocks.delete(this.lockFile);
+        try {
+            await funlink(this.lockFile);
+        } catch(e) {
+            if (e.code !== 'ENOENT') {
+                throw e;
+            }
+        }
+    }
+
+    async tightenPermissions() {
+        /* Stores created by older versions used the default umask. */
+        await fchmod(this.root, dirMode);
+        for (const ns of await freaddir(this.root)) {
+            const nsPath = path.join(this.root, ns);
+            if (await is_dir(nsPath)) {
+                await fchmod(nsPath, dirMode);
+                for (const x of await freaddir(nsPath)) {
+                    await fchmod(path.join(nsPath, x), fileMode);
+                }
+            } else {
+                await fchmod(nsPath, fileMode);
+            }
+        }
+    }
+
+    /**
+     * Rename files written before names were escaped.  Those names were used
+     * verbatim, so any literal `%` in them now reads as an escape sequence.
+     * Names starting with a dot can't be told apart from our own temp and
+     * lock files and are left alone, as are names that are already in
+     * escaped form, so running this again changes nothing.
+     *
+     * @returns {number} The number of files and directories renamed.
+     */
+    async escapeLegacyNames() {
+        let count = 0;
+        const rename = async (dir, name) => {
+            if (escapeName(unescapeName(name)) === name) {
+                return name;  // Already escaped (or never needed it).
+            }
+            const escaped = escapeName(name);
+            if (escaped !== name) {
+                await frename(path.join(dir, name), path.join(dir, escaped));
+                count++;
+            }
+            return escaped;
+        };
+        let entries;
+        try {
+            entries = await freaddir(this.root);
+        } catch(e) {
+            if (e.code === 'ENOENT') {
+                return count;
+            }
+            throw e;
+        }
+        for (const ns of entries) {
+            if (ns.startsWith('.') || !await is_dir(path.join(this.root, ns))) {
+                continue;
+            }
+            const nsPath = path.join(this.root, await rename(this.root, ns));
+            for (const key of await freaddir(nsPath)) {
+                if (!key.startsWith('.')) {
+                    await rename(nsPath, key);
+                }
+            }
+        }
+        this.expiries.clear();
+        return count;
+    }
+
+    _path(ns, key) {
+        const dir = path.join(this.root, escapeName(ns));
+        return key === undefined ? dir : path.join(dir, escapeName(key));
+    }
+
+    async replayJournal() {
+        /* Finish any batch that was interrupted before it was fully applied. */
+        let ops;
+        try {
+            ops = JSON.parse(await freadfile(this.journal));
+        } catch(e) {
+            if (e.code === 'ENOENT') {
+                return;
+            }
+            throw e;
+        }
+        console.warn("Replaying interrupted storage batch:", this.journal);
+        await this._applyOps(ops);
+        await funlink(this.journal);
+    }
+
+    async _applyOps(ops) {
+        for (const x of ops) {
+            if (x.op === 'set') {
+                await this.set(x.ns, x.key, x.value, x.ttl);
+            } else {
+                await this.remove(x.ns, x.key);
+            }
+        }
+    }
+
+    async batch(ops) {
+        /* Best effort atomicity: The full batch is journaled before it is
+         * applied so it can be replayed by `initialize` after a crash. */
+        for (const x of ops) {
+            if (x.op !== 'set' && x.op !== 'remove') {
+                throw new TypeError("Invalid batch op: " + x.op);
+            }
+            if (x.op === 'set' && x.value === undefined) {
+                throw new Error("Tried to store undefined");
+            }
+        }
+        const data = JSON.stringify(ops.map(x => Object.assign({}, x, {
+            value: x.value === undefined ? undefined : x.value.toString()
+        })));
+        await queueAsync(this.journal, async () => {
+            await mkdirp(this.root, dirMode);
+            await fwriteatomic(this.journal, data);
+            await this._applyOps(ops);
+            await funlink(this.journal);
+        });
+    }
+
+    async _expiries(ns) {
+        let expiries = this.expiries.get(ns);
+        if (!expiries) {
+            try {
+                expiries = new Map(Object.entries(JSON.parse(
+                    await freadfile(path.join(this._path(ns), '.expires')))));
+            } catch(e) {
+                if (e.code !== 'ENOENT') {
+                    throw e;
+                }
+                expiries = new Map();
+            }
+            if (this.expiries.has(ns)) {
+                return this.expiries.get(ns);  // Lost a race with another load.
+            }
+            this.expiries.set(ns, expiries);
+        }
+        return expiries;
+    }
+
+    async _saveExpiries(ns) {
+        const file = path.join(this._path(ns), '.expires');
+        /* Serialized so the last write always has the latest state. */
+        await queueAsync(file, async () => {
+            const expiries = await this._expiries(ns);
+            await mkdirp(path.dirname(file), dirMode);
+            const data = {};
+            for (const [k, v] of expiries) {
+                data[k] = v;
+            }
+            await fwriteatomic(file, JSON.stringify(data));
+        });
+    }
+
+    async _expired(ns, key) {
+        const expires = (await this._expiries(ns)).get(key);
+        return expires !== undefined && expires <= Date.now();
+    }
+
+    async sweep() {
+        let count = 0;
+        for (const ns of await this.namespaces()) {
+            const expiries = await this._expiries(ns);
+            const now = Date.now();
+            for (const [key, expires] of Array.from(expiries)) {
+                if (expires <= now) {
+                    await this.remove(ns, key);
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    async set(ns, key, value, ttl) {
+        const expiries = await this._expiries(ns);
+        /* The expiry is recorded before a new value is written and cleared
+         * before a permanent one is, so a crash can't expire permanent data. */
+        if (ttl) {
+            expiries.set(key, Date.now() + ttl * 1000);
+            await this._saveExpiries(ns);
+        } else if (expiries.has(key)) {
+            expiries.delete(key);
+            await this._saveExpiries(ns);
+        }
+        const file = this._path(ns, key);
         for (let i = 0; i < 2; i++) {
             try {
-                await fwritefile(path.join(dir, key), value);
+                await fwriteatomic(file, value);
                 return;
             } catch(e) {
                 if (e.code === 'ENOENT') {
-                    await mkdirp(dir);
+                    await mkdirp(path.dirname(file), dirMode);
                 } else {
                     throw e;
                 }
@@ -104,8 +532,12 @@ class FSBacking extends StorageInterface {
     }
 
     async get(ns, key) {
+        if (await this._expired(ns, key)) {
+            await this.remove(ns, key);
+            throw new ReferenceError(key);
+        }
         try {
-            return await freadfile(path.join(this.root, ns, key));
+            return await freadfile(this._path(ns, key));
         } catch(e) {
             if (e.code === 'ENOENT') {
                 throw new ReferenceError(key);
@@ -116,30 +548,69 @@ class FSBacking extends StorageInterface {
     }
 
     async has(ns, key) {
-        return await is_file(path.join(this.root, ns, key));
+        return !(await this._expired(ns, key)) && await is_file(this._path(ns, key));
+    }
+
+    async ttl(ns, key) {
+        if (!(await this.has(ns, key))) {
+            throw new ReferenceError(key);
+        }
+        const expires = (await this._expiries(ns)).get(key);
+        return expires === undefined ? null : (expires - Date.now()) / 1000;
     }
 
     async remove(ns, key) {
         try {
-            await funlink(path.join(this.root, ns, key));
+            await funlink(this._path(ns, key));
         } catch(e) {
             if (e.code !== 'ENOENT') {
                 throw e;
             }
         }
+        const expiries = await this._expiries(ns);
+        if (expiries.has(key)) {
+            expiries.delete(key);
+            await this._saveExpiries(ns);
+        }
     }
 
     async keys(ns, regex) {
         let keys;
         try {
-            keys = await freaddir(path.join(this.root, ns));
+            keys = await freaddir(this._path(ns));
         } catch(e) {
             if (e.code === 'ENOENT') {
                 return [];
             }
+            throw e;
+        }
+        keys = keys.filter(x => !x.startsWith('.')).map(unescapeName);
+        const expiries = await this._expiries(ns);
+        if (expiries.size) {
+            const now = Date.now();
+            keys = keys.filter(x => !(expiries.get(x) <= now));
         }
         return regex ? keys.filter(x => x.match(regex)) : keys;
     }
+
+    async namespaces() {
+        let entries;
+        try {
+            entries = await freaddir(this.root);
+        } catch(e) {
+            if (e.code === 'ENOENT') {
+                return [];
+            }
+            throw e;
+        }
+        const namespaces = [];
+        for (const x of entries) {
+            if (!x.startsWith('.') && await is_dir(path.join(this.root, x))) {
+                namespaces.push(unescapeName(x));
+            }
+        }
+        return namespaces;
+    }
 }
 
 module.exports = FSBacking;
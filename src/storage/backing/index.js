@@ -5,6 +5,10 @@
 module.exports = {
     RedisBacking: require('./redis'),
     FSBacking: require('./fs'),
+    MemoryBacking: require('./memory'),
     PostgresBacking: require('./postgres'),
+    SqliteBacking: require('./sqlite'),
+    EncryptedBacking: require('./encrypted'),
+    CachedBacking: require('./cached'),
     BackingInterface: require('./interface')
 };
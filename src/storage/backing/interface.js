@@ -3,25 +3,121 @@
  * @module storage/backing
  */
 
+const EventEmitter = require('events');
+
 
 /**
- * Interface for a backing store.
+ * Interface for a backing store.  Backings are event emitters; those with
+ * a network connection emit `connect`, `ready`, `reconnecting`, `end` and
+ * `error` events.
  */
-class StorageInterface {
+class StorageInterface extends EventEmitter {
 
     /**
      * @param {string} label - Namespace to use for this store.
      */
     constructor(label) {
+        super();
         this.label = label;
     }
 
+    /**
+     * Emit a connection error, or log it if nobody is listening so it
+     * doesn't crash the process.
+     *
+     * @protected
+     * @param {Error} error
+     */
+    _emitError(error) {
+        if (this.listenerCount('error')) {
+            this.emit('error', error);
+        } else {
+            console.warn(`Storage backing error [${this.constructor.name}]:`, error.message);
+        }
+    }
+
+    /**
+     * Find the literal text a regex requires so it can be pushed down to a
+     * native filter (SQL `LIKE`, redis `MATCH`, etc).  The regex must still be
+     * applied to the results; this only narrows them.
+     *
+     * @param {RegExp} regex
+     * @returns {{literal: string, anchored: boolean}|undefined} Nothing if no
+     *          useful literal could be found.
+     */
+    static regexLiteral(regex) {
+        if (regex.flags.indexOf('i') !== -1 || regex.flags.indexOf('m') !== -1) {
+            return;
+        }
+        let src = regex.source;
+        if (src.indexOf('|') !== -1) {
+            return;  // Alternations could match without the literal.
+        }
+        const anchored = src.startsWith('^');
+        if (anchored) {
+            src = src.substr(1);
+        }
+        let literal = '';
+        let i = 0;
+        for (; i < src.length; i++) {
+            const c = src[i];
+            if (c === '\\') {
+                const next = src[i + 1];
+                if (next === undefined || /[a-zA-Z0-9]/.test(next)) {
+                    break;  // Character class like \d or a backreference.
+                }
+                literal += next;
+                i++;
+            } else if ('.*+?()[]{}|^$'.indexOf(c) !== -1) {
+                break;
+            } else {
+                literal += c;
+            }
+        }
+        if (src[i] === '*' || src[i] === '?' || src[i] === '{') {
+            // A quantifier makes the last literal char optional.
+            literal = literal.substr(0, literal.length - 1);
+        }
+        if (literal) {
+            return {literal, anchored};
+        }
+    }
+
+    /**
+     * Make a wrapper class (one holding an inner backing at `this.backing`)
+     * register event listeners on the inner backing, so connection events
+     * are seen through it.
+     *
+     * @param {Function} Wrapper - Class to patch.
+     */
+    static delegateEvents(Wrapper) {
+        for (const method of ['on', 'once', 'off', 'addListener', 'prependListener',
+                              'removeListener', 'removeAllListeners']) {
+            Wrapper.prototype[method] = function(...args) {
+                this.backing[method](...args);
+                return this;
+            };
+        }
+        for (const method of ['listenerCount', 'listeners']) {
+            Wrapper.prototype[method] = function(...args) {
+                return this.backing[method](...args);
+            };
+        }
+    }
+
     /** @abstract */
     async initialize() {
     }
 
-    /** @abstract */
-    async set(ns, key, value) {
+    /**
+     * @abstract
+     * @param {string} ns
+     * @param {string} key
+     * @param {string} value
+     * @param {number} [ttl] - Seconds until the key expires.  Setting a key
+     *                         without a ttl makes it permanent.
+     */
+    async set(ns, key, value, ttl) {
         throw new Error("Not Implemented");
     }
 
@@ -46,9 +142,116 @@ class StorageInterface {
         throw new Error("Not Implemented");
     }
 
+    /**
+     * @abstract
+     * @returns {string[]} All the namespaces that currently hold keys.
+     */
+    async namespaces() {
+        throw new Error("Not Implemented");
+    }
+
+    /**
+     * @abstract
+     * @param {string} ns
+     * @param {string} key
+     * @returns {?number} Seconds until the key expires, or null if it is
+     *          permanent.  Throws ReferenceError if the key is not found.
+     */
+    async ttl(ns, key) {
+        throw new Error("Not Implemented");
+    }
+
+    /**
+     * Apply several writes as one unit.  Backings that support it should
+     * apply all or none of the operations.  This default implementation
+     * simply applies them in order and is NOT atomic.
+     *
+     * @param {Object[]} ops - Array of `{op: 'set'|'remove', ns, key, value, ttl}` objects.
+     */
+    async batch(ops) {
+        for (const x of ops) {
+            if (x.op === 'set') {
+                await this.set(x.ns, x.key, x.value, x.ttl);
+            } else if (x.op === 'remove') {
+                await this.remove(x.ns, x.key);
+            } else {
+                throw new TypeError("Invalid batch op: " + x.op);
+            }
+        }
+    }
+
     /** @abstract */
     async shutdown() {
     }
+
+    /**
+     * Delete expired keys.  Backings without native expiry treat expired keys
+     * as missing when they are read and call this periodically to reclaim
+     * the space.
+     *
+     * @abstract
+     * @returns {number} Number of keys removed.
+     */
+    async sweep() {
+        return 0;
+    }
+
+    /**
+     * @protected
+     * @param {number} [interval=60] - Seconds between sweeps.  Use 0 to disable.
+     */
+    _startSweeper(interval) {
+        this._stopSweeper();
+        interval = interval === undefined ? 60 : interval;
+        if (!interval) {
+            return;
+        }
+        this._sweeper = setInterval(() => this.sweep().catch(e =>
+            console.warn("Failed to sweep expired storage keys:", e)), interval * 1000);
+        this._sweeper.unref();
+    }
+
+    /**
+     * @protected
+     */
+    _stopSweeper() {
+        if (this._sweeper) {
+            clearInterval(this._sweeper);
+            this._sweeper = null;
+        }
+    }
+
+    /**
+     * Subscribe to changes made to this label by any process.  Only backings
+     * with a server side change feed support this.
+     *
+     * @abstract
+     * @param {Function} callback - Called with `{ns, key, op, existed, exists}`
+     *                              objects.  Any of `key` and `existed` can be
+     *                              undefined when the feed doesn't report them.
+     */
+    async watch(callback) {
+        throw new Error("Change notifications are not supported by this backing");
+    }
+
+    /**
+     * Stop the change feed started by {@link watch}.
+     *
+     * @abstract
+     */
+    async unwatch() {
+    }
+
+    /**
+     * Backings shared between processes can provide locks that work across
+     * all of them.
+     *
+     * @param {module:storage/locks~LockOptions} [options]
+     * @returns {module:storage/locks~LockProvider} Nothing if the backing has
+     *          no cross-process locking.
+     */
+    createLockProvider(options) {
+    }
 }
 
 module.exports = StorageInterface;
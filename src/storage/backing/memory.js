@@ -0,0 +1,210 @@
+const StorageInterface = require('./interface');
+
+
+/**
+ * Volatile backing store that lives only as long as the process (or this
+ * instance).  Useful for unit tests and throwaway identities.
+ */
+class MemoryBacking extends StorageInterface {
+
+    /**
+     * @param {string} label
+     * @param {Object} [options]
+     * @param {number} [options.sweepInterval=60] - Seconds between sweeps of expired keys.
+     */
+    constructor(label, options) {
+        super(label);
+        this.store = new Map();
+        this.expiries = new Map();  // ns -> key -> expiration (ms)
+        this.sweepInterval = options && options.sweepInterval;
+    }
+
+    async initialize() {
+        this._startSweeper(this.sweepInterval);
+    }
+
+    async shutdown() {
+        this._stopSweeper();
+    }
+
+    _expired(ns, key) {
+        const expiries = this.expiries.get(ns);
+        const expires = expiries && expiries.get(key);
+        if (expires !== undefined && expires <= Date.now()) {
+            this._delete(ns, key);
+            return true;
+        }
+        return false;
+    }
+
+    _put(ns, key, value, ttl) {
+        this._ns(ns, true).set(key, value);
+        let expiries = this.expiries.get(ns);
+        if (ttl) {
+            if (!expiries) {
+                expiries = new Map();
+                this.expiries.set(ns, expiries);
+            }
+            expiries.set(key, Date.now() + ttl * 1000);
+        } else if (expiries) {
+            expiries.delete(key);
+        }
+    }
+
+    _delete(ns, key) {
+        const map = this._ns(ns);
+        if (map) {
+            map.delete(key);
+        }
+        const expiries = this.expiries.get(ns);
+        if (expiries) {
+            expiries.delete(key);
+        }
+    }
+
+    async sweep() {
+        let count = 0;
+        for (const [ns, expiries] of this.expiries) {
+            for (const key of Array.from(expiries.keys())) {
+                if (this._expired(ns, key)) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    _ns(ns, create) {
+        let map = this.store.get(ns);
+        if (!map && create) {
+            map = new Map();
+            this.store.set(ns, map);
+        }
+        return map;
+    }
+
+    async set(ns, key, value, ttl) {
+        if (value === undefined) {
+            throw new Error("Tried to store undefined");
+        }
+        this._put(ns, key, value, ttl);
+    }
+
+    async get(ns, key) {
+        const map = this._ns(ns);
+        if (!map || !map.has(key) || this._expired(ns, key)) {
+            throw new ReferenceError(key);
+        }
+        return map.get(key);
+    }
+
+    async has(ns, key) {
+        const map = this._ns(ns);
+        return !!map && map.has(key) && !this._expired(ns, key);
+    }
+
+    async remove(ns, key) {
+        this._delete(ns, key);
+    }
+
+    async keys(ns, regex) {
+        const map = this._ns(ns);
+        const keys = map ? Array.from(map.keys()).filter(x => !this._expired(ns, x)) : [];
+        return regex ? keys.filter(x => x.match(regex)) : keys;
+    }
+
+    async ttl(ns, key) {
+        const map = this._ns(ns);
+        if (!map || !map.has(key) || this._expired(ns, key)) {
+            throw new ReferenceError(key);
+        }
+        const expiries = this.expiries.get(ns);
+        return expiries && expiries.has(key) ? (expiries.get(key) - Date.now()) / 1000 : null;
+    }
+
+    async namespaces() {
+        return Array.from(this.store.keys()).filter(ns =>
+            Array.from(this.store.get(ns).keys()).some(key => !this._expired(ns, key)));
+    }
+
+    async batch(ops) {
+        for (const x of ops) {
+            if (x.op !== 'set' && x.op !== 'remove') {
+                throw new TypeError("Invalid batch op: " + x.op);
+            }
+            if (x.op === 'set' && x.value === undefined) {
+                throw new Error("Tried to store undefined");
+            }
+        }
+        // Everything below is synchronous so the batch is applied atomically.
+        for (const x of ops) {
+            if (x.op === 'set') {
+                this._put(x.ns, x.key, x.value, x.ttl);
+            } else {
+                this._delete(x.ns, x.key);
+            }
+        }
+    }
+
+    /**
+     * Capture the entire contents of this store.  Expired keys are left out
+     * and the expiration times of the rest are kept.
+     *
+     * @returns {Object} Plain object of the form
+     *          `{store: {ns: {key: value}}, expiries: {ns: {key: expiration}}}`
+     *          suitable for JSON serialization and {@link restore}.  Expirations
+     *          are epoch milliseconds.
+     */
+    snapshot() {
+        const data = {store: {}, expiries: {}};
+        for (const [ns, map] of this.store) {
+            const expiries = this.expiries.get(ns);
+            for (const [key, value] of map) {
+                if (this._expired(ns, key)) {
+                    continue;
+                }
+                if (!data.store[ns]) {
+                    data.store[ns] = {};
+                }
+                data.store[ns][key] = value;
+                if (expiries && expiries.has(key)) {
+                    if (!data.expiries[ns]) {
+                        data.expiries[ns] = {};
+                    }
+                    data.expiries[ns][key] = expiries.get(key);
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Replace the entire contents of this store with a prior {@link snapshot}.
+     * Keys keep their expiration times, so any that passed since the snapshot
+     * was taken are expired straight away.
+     *
+     * @param {Object} data - Object returned by {@link snapshot}.
+     */
+    restore(data) {
+        data = data || {};
+        this.store.clear();
+        this.expiries.clear();
+        for (const [ns, entries] of Object.entries(data.store || {})) {
+            const map = this._ns(ns, true);
+            for (const [key, value] of Object.entries(entries)) {
+                map.set(key, value);
+            }
+        }
+        for (const [ns, entries] of Object.entries(data.expiries || {})) {
+            const expiries = new Map();
+            for (const [key, expires] of Object.entries(entries)) {
+                if (this.store.has(ns) && this.store.get(ns).has(key)) {
+                    expiries.set(key, expires);
+                }
+            }
+            this.expiries.set(ns, expiries);
+        }
+    }
+}
+
+module.exports = MemoryBacking;
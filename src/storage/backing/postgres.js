@@ -1,80 +1,396 @@
 const StorageInterface = require('./interface');
-const { Client } = require('pg');
+const process = require('process');
+const util = require('../../util');
+const locks = require('../locks');
+const { Client, Pool } = require('pg');
+
+const connectionErrorCodes = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH',
+    '57P01',  // admin_shutdown
+    '57P02',  // crash_shutdown
+    '57P03',  // cannot_connect_now
+    '08000', '08001', '08003', '08004', '08006'  // connection_exception class
+]);
+
+
+function isConnectionError(e) {
+    return connectionErrorCodes.has(e.code) ||
+           /Connection terminated/.test(e.message);
+}
+
+
+function sanitizeIdentifier(name) {
+    return name.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+}
+
+
+/**
+ * @typedef {Object} PostgresOptions
+ * @property {string} [connectionString] - Defaults to `DATABASE_URL` from the env.
+ * @property {string} [host]
+ * @property {number} [port]
+ * @property {string} [user]
+ * @property {string} [password]
+ * @property {string} [database]
+ * @property {(boolean|Object)} [ssl] - Passed to the `pg` driver (e.g. `{rejectUnauthorized: false}`).
+ * @property {string} [schema] - Schema to keep the label's table in.  Created if missing.
+ * @property {number} [max=10] - Max connections in the pool.
+ * @property {number} [retries=3] - Retries for queries that fail due to connection problems.
+ * @property {number} [retryDelay=0.5] - Seconds to wait before the first retry (doubles each time).
+ */
+
+// Rows past their expiration are treated as missing until the sweeper deletes them.
+const live = '(expires IS NULL OR expires > now())';
 
 class PostgresBacking extends StorageInterface {
 
-    constructor(label) {
+    /**
+     * @param {string} label
+     * @param {Object} [options]
+     * @param {PostgresOptions} [options.postgres]
+     */
+    constructor(label, options) {
         super(label);
-        this.tableName = 'faux_redis_' + this.label.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-        this.client = new Client({ connectionString: process.env.DATABASE_URL });
+        this.sweepInterval = options && options.sweepInterval;
+        const pgOptions = Object.assign({}, options && options.postgres);
+        this.retries = pgOptions.retries === undefined ? 3 : pgOptions.retries;
+        this.retryDelay = pgOptions.retryDelay === undefined ? 0.5 : pgOptions.retryDelay;
+        this.schema = pgOptions.schema && sanitizeIdentifier(pgOptions.schema);
+        const baseName = 'faux_redis_' + sanitizeIdentifier(this.label);
+        this.tableName = this.schema ? `${this.schema}.${baseName}` : baseName;
+        const poolConfig = {
+            host: pgOptions.host,
+            port: pgOptions.port,
+            user: pgOptions.user,
+            password: pgOptions.password,
+            database: pgOptions.database,
+            ssl: pgOptions.ssl,
+            max: pgOptions.max
+        };
+        if (pgOptions.connectionString) {
+            poolConfig.connectionString = pgOptions.connectionString;
+        } else if (!pgOptions.host && process.env.DATABASE_URL) {
+            poolConfig.connectionString = process.env.DATABASE_URL;
+        }
+        for (const [k, v] of Object.entries(poolConfig)) {
+            if (v === undefined) {
+                delete poolConfig[k];
+            }
+        }
+        this.poolConfig = poolConfig;
+
+        this.queryCreateSchemaIfNeeded = this.schema && `
+            CREATE SCHEMA IF NOT EXISTS ${this.schema}`;
+
         this.queryCreateTableIfNeeded = `
             CREATE TABLE IF NOT EXISTS ${this.tableName} (
                 namespace TEXT,
                 key TEXT,
                 value TEXT,
+                expires TIMESTAMPTZ,
                 PRIMARY KEY (namespace, key)
             );`;
 
+        this.queryAddExpiresColumn = `
+            ALTER TABLE ${this.tableName} ADD COLUMN IF NOT EXISTS expires TIMESTAMPTZ`;
+
+        this.queryCreateIndexIfNeeded = `
+            CREATE INDEX IF NOT EXISTS ${baseName}_key_pattern
+                ON ${this.tableName} (namespace, key text_pattern_ops)`;
+
+        this.queryCreateExpiresIndexIfNeeded = `
+            CREATE INDEX IF NOT EXISTS ${baseName}_expires
+                ON ${this.tableName} (expires) WHERE expires IS NOT NULL`;
+
         this.querySetValue = `
-            INSERT INTO ${this.tableName} (namespace, key, value)
-                VALUES ($1::text, $2::text, $3::text)
+            INSERT INTO ${this.tableName} (namespace, key, value, expires)
+                VALUES ($1::text, $2::text, $3::text, now() + $4::float8 * interval '1 second')
                 ON CONFLICT (namespace, key)
-                    DO UPDATE SET value=$3::text`;
+                    DO UPDATE SET value=EXCLUDED.value, expires=EXCLUDED.expires`;
 
         this.queryGetValue = `
-            SELECT value FROM ${this.tableName} WHERE namespace=$1::text AND key=$2::text`;
+            SELECT value FROM ${this.tableName}
+                WHERE namespace=$1::text AND key=$2::text AND ${live}`;
+
+        this.queryGetTTL = `
+            SELECT extract(epoch from expires - now())::float8 AS ttl FROM ${this.tableName}
+                WHERE namespace=$1::text AND key=$2::text AND ${live}`;
 
         this.queryRemoveValue = `
             DELETE FROM ${this.tableName} WHERE namespace=$1::text AND key=$2::text`;
 
         this.queryGetKeys = `
-            SELECT key FROM ${this.tableName} WHERE namespace=$1::text`;
+            SELECT key FROM ${this.tableName} WHERE namespace=$1::text AND ${live}`;
+
+        this.queryGetKeysLike = `
+            SELECT key FROM ${this.tableName}
+                WHERE namespace=$1::text AND key LIKE $2::text AND ${live}`;
+
+        this.queryGetNamespaces = `
+            SELECT DISTINCT namespace FROM ${this.tableName} WHERE ${live}`;
+
+        this.queryRemoveExpired = `
+            DELETE FROM ${this.tableName} WHERE expires <= now()`;
+
+        const notifyFunc = this.schema ? `${this.schema}.${baseName}_notify` : `${baseName}_notify`;
+        this.notifyChannel = this.tableName;
+        this.notifyTrigger = `${baseName}_notify`;
+
+        this.queryCreateNotifyFunction = `
+            CREATE OR REPLACE FUNCTION ${notifyFunc}() RETURNS trigger AS $$
+            DECLARE
+                rec RECORD;
+            BEGIN
+                IF TG_OP = 'DELETE' THEN
+                    rec := OLD;
+                ELSE
+                    rec := NEW;
+                END IF;
+                PERFORM pg_notify(TG_ARGV[0], json_build_object(
+                    'ns', rec.namespace,
+                    'key', rec.key,
+                    'op', TG_OP,
+                    'pid', pg_backend_pid())::text);
+                RETURN NULL;
+            END;
+            $$ LANGUAGE plpgsql`;
+
+        this.queryHasNotifyTrigger = `
+            SELECT 1 FROM pg_trigger WHERE tgname=$1::text AND tgrelid=$2::regclass`;
+
+        this.queryCreateNotifyTrigger = `
+            CREATE TRIGGER ${this.notifyTrigger}
+                AFTER INSERT OR UPDATE OR DELETE ON ${this.tableName}
+                FOR EACH ROW EXECUTE PROCEDURE ${notifyFunc}('${this.notifyChannel}')`;
+    }
+
+    async _retry(func) {
+        for (let attempt = 0;; attempt++) {
+            try {
+                return await func();
+            } catch(e) {
+                if (attempt >= this.retries || !isConnectionError(e)) {
+                    throw e;
+                }
+                const delay = this.retryDelay * Math.pow(2, attempt);
+                console.warn(`Postgres connection error (retry in ${delay}s):`, e.message);
+                this.emit('reconnecting', {attempt: attempt + 1, delay, error: e});
+                await util.sleep(delay);
+            }
+        }
+    }
+
+    async _query(text, values) {
+        return await this._retry(() => this.pool.query(text, values));
     }
 
     async initialize() {
-        await this.client.connect();
-        const result = await this.client.query(this.queryCreateTableIfNeeded);
+        this._pids = new Set();  // Our own connections, for ignoring our own notifications.
+        this.pool = new Pool(this.poolConfig);
+        // Idle clients are discarded by the pool and replaced on demand.
+        this.pool.on('error', e => this._emitError(e));
+        this.pool.on('connect', client => {
+            this._pids.add(client.processID);
+            this.emit('connect');
+        });
+        this.pool.on('remove', client => this._pids.delete(client.processID));
+        if (this.queryCreateSchemaIfNeeded) {
+            await this._query(this.queryCreateSchemaIfNeeded);
+        }
+        const result = await this._query(this.queryCreateTableIfNeeded);
+        await this._query(this.queryAddExpiresColumn);
+        await this._query(this.queryCreateIndexIfNeeded);
+        await this._query(this.queryCreateExpiresIndexIfNeeded);
         this.initialized = true;
+        this._startSweeper(this.sweepInterval);
         return result;
     }
 
-    async set(ns, key, value) {
+    async set(ns, key, value, ttl) {
         if (!this.initialized) throw new Error("Tried to use uninitialized store");
         if (value === undefined) throw new Error("Tried to store undefined");
-        const result = await this.client.query(this.querySetValue, [ns, key, value]);
+        const result = await this._query(this.querySetValue, [ns, key, value, ttl || null]);
         if (result.rowCount !== 1) throw new Error('Failure in postgres set');
     }
 
+    async batch(ops) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        for (const x of ops) {
+            if (x.op !== 'set' && x.op !== 'remove') throw new TypeError("Invalid batch op: " + x.op);
+            if (x.op === 'set' && x.value === undefined) throw new Error("Tried to store undefined");
+        }
+        // Every op is idempotent so the whole transaction can be retried.
+        await this._retry(async () => {
+            const client = await this.pool.connect();
+            let releaseError;
+            try {
+                await client.query('BEGIN');
+                for (const x of ops) {
+                    if (x.op === 'set') {
+                        await client.query(this.querySetValue, [x.ns, x.key, x.value, x.ttl || null]);
+                    } else {
+                        await client.query(this.queryRemoveValue, [x.ns, x.key]);
+                    }
+                }
+                await client.query('COMMIT');
+            } catch(e) {
+                if (isConnectionError(e)) {
+                    releaseError = e;
+                } else {
+                    try {
+                        await client.query('ROLLBACK');
+                    } catch(rollbackError) {
+                        releaseError = rollbackError;
+                    }
+                }
+                throw e;
+            } finally {
+                // A broken client or one stuck in a failed transaction must
+                // not be returned to the pool.
+                client.release(releaseError);
+            }
+        });
+    }
+
     async get(ns, key) {
         if (!this.initialized) throw new Error("Tried to use uninitialized store");
-        const result = await this.client.query(this.queryGetValue, [ns, key]);
+        const result = await this._query(this.queryGetValue, [ns, key]);
         if (result.rowCount !== 1) throw new ReferenceError(key);
         return result.rows[0].value;
     }
 
     async has(ns, key) {
         if (!this.initialized) throw new Error("Tried to use uninitialized store");
-        const result = await this.client.query(this.queryGetValue, [ns, key]);
+        const result = await this._query(this.queryGetValue, [ns, key]);
         return result.rowCount === 1;
     }
 
+    async ttl(ns, key) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const result = await this._query(this.queryGetTTL, [ns, key]);
+        if (result.rowCount !== 1) throw new ReferenceError(key);
+        return result.rows[0].ttl;
+    }
+
     async remove(ns, key) {
         if (!this.initialized) throw new Error("Tried to use uninitialized store");
-        const result = await this.client.query(this.queryRemoveValue, [ns, key]);
+        const result = await this._query(this.queryRemoveValue, [ns, key]);
         return result.rowCount === 1;
     }
 
     async keys(ns, regex) {
         if (!this.initialized) throw new Error("Tried to use uninitialized store");
-        const result = await this.client.query(this.queryGetKeys, [ns]);
+        const prefix = regex && StorageInterface.regexLiteral(regex);
+        const like = prefix && (prefix.anchored ? '' : '%') +
+            prefix.literal.replace(/[\\%_]/g, '\\$&') + '%';
+        const result = like ?
+            await this._query(this.queryGetKeysLike, [ns, like]) :
+            await this._query(this.queryGetKeys, [ns]);
         const keys = result.rows.map(r => r.key);
         return regex ? keys.filter(x => x.match(regex)) : keys;
     }
 
+    async namespaces() {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const result = await this._query(this.queryGetNamespaces);
+        return result.rows.map(r => r.namespace);
+    }
+
+    async _createNotifyTrigger() {
+        await this._query(this.queryCreateNotifyFunction);
+        const exists = await this._query(this.queryHasNotifyTrigger,
+            [this.notifyTrigger, this.tableName]);
+        if (exists.rowCount) {
+            return;
+        }
+        try {
+            await this._query(this.queryCreateNotifyTrigger);
+        } catch(e) {
+            if (e.code !== '42710') {  // duplicate_object: Another process beat us to it.
+                throw e;
+            }
+        }
+    }
+
+    /**
+     * Changes are published by a trigger on the label's table, which is
+     * created on first use, and received with `LISTEN` on a dedicated
+     * connection.  Changes made by this backing are not reported.
+     */
+    async watch(callback) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        if (this.listenClient) {
+            throw new Error("Already watching");
+        }
+        await this._createNotifyTrigger();
+        await this._retry(() => this._listen(callback));
+    }
+
+    async _listen(callback) {
+        const client = new Client(this.poolConfig);
+        client.on('notification', msg => {
+            let change;
+            try {
+                change = JSON.parse(msg.payload);
+            } catch(e) {
+                console.warn("Invalid postgres change notification:", msg.payload);
+                return;
+            }
+            if (this._pids.has(change.pid)) {
+                return;
+            }
+            callback({
+                ns: change.ns,
+                key: change.key,
+                op: change.op === 'DELETE' ? 'remove' : 'set',
+                existed: change.op !== 'INSERT',
+                exists: change.op !== 'DELETE'
+            });
+        });
+        client.on('error', e => {
+            this._emitError(e);
+            if (this.listenClient === client) {
+                // Notifications sent while reconnecting are lost.
+                this.listenClient = null;
+                client.end().catch(() => {});
+                this._retry(() => this._listen(callback)).catch(e => this._emitError(e));
+            }
+        });
+        try {
+            await client.connect();
+            await client.query(`LISTEN "${this.notifyChannel}"`);
+        } catch(e) {
+            client.end().catch(() => {});
+            throw e;
+        }
+        this.listenClient = client;
+    }
+
+    async unwatch() {
+        const client = this.listenClient;
+        if (client) {
+            this.listenClient = null;
+            await client.end();
+        }
+    }
+
+    createLockProvider(options) {
+        return new locks.PostgresLockProvider(this, options);
+    }
+
+    async sweep() {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const result = await this._query(this.queryRemoveExpired);
+        return result.rowCount;
+    }
+
     async shutdown() {
         if (!this.initialized) throw new Error("Tried to use uninitialized store");
-        await this.client.end();
-        this.client = null;
+        this._stopSweeper();
+        await this.unwatch();
+        await this.pool.end();
+        this.pool = null;
+        this.initialized = false;
     }
 }
 
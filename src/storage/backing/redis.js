@@ -1,93 +1,323 @@
 const StorageInterface = require('./interface');
 const process = require('process');
-const redis = require('redis');
-const unifyOptions = require('redis/lib/createClient');
+const Redis = require('ioredis');
+const locks = require('../locks');
 
+const forwardedEvents = ['connect', 'ready', 'reconnecting', 'close', 'end'];
 
-/* A proper async redis client */
-class AsyncRedisClient extends redis.RedisClient {
 
-    static createClient(...args) {
-        const options = unifyOptions.apply(null, args);
-        return new this(options);
+function globEscape(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+
+function isOwnNamespace(ns) {
+    /* Keys of other labels that start with ours (e.g. `bot-prod-state` under
+     * `bot-`) and our ttl and lock keys leave a `-` or `:` behind. */
+    return !/[-:]/.test(ns);
+}
+
+
+/**
+ * @typedef {Object} RedisOptions
+ * @property {string} [url] - Defaults to `REDIS_URL` from the env.  Use `rediss://` for TLS.
+ * @property {string} [host]
+ * @property {number} [port]
+ * @property {string} [password]
+ * @property {number} [db] - Database index.
+ * @property {(boolean|Object)} [tls] - `true` or options for `tls.connect()`.
+ * @property {string} [prefix] - Prepended to every redis key, ahead of the label.
+ * @property {Object[]} [sentinels] - Sentinel addresses, e.g. `[{host, port}]`.  Requires `name`.
+ * @property {string} [name] - Master group name monitored by the sentinels.
+ * @property {Object[]} [cluster] - Cluster startup nodes, e.g. `[{host, port}]`.
+ * @property {number} [scanCount=1000] - `COUNT` hint used when scanning keys.
+ * @property {Object} [client] - Extra options passed straight to the `ioredis` client.
+ */
+
+/*
+ * Permanent keys live in one hash per namespace.  Redis can't expire hash
+ * fields, so keys set with a ttl are kept as plain string keys instead, and
+ * listed in a sorted set per namespace (scored by expiration) so they can be
+ * found without scanning the whole database.
+ */
+class RedisBacking extends StorageInterface {
+
+    /**
+     * @param {string} label
+     * @param {Object} [options]
+     * @param {RedisOptions} [options.redis]
+     */
+    constructor(label, options) {
+        super(label);
+        this.redisOptions = Object.assign({}, options && options.redis);
+        this.scanCount = this.redisOptions.scanCount || 1000;
+        // Cluster mode uses a hash tag so every key of a label lives in the
+        // same slot, which MULTI requires.
+        const labelKey = (this.redisOptions.prefix || '') +
+            (this.redisOptions.cluster ? `{${this.label}}` : this.label);
+        this.keyPrefix = labelKey + '-';
+        this.ttlPrefix = labelKey + ':ttl:';
+        this.ttlIndexPrefix = labelKey + ':ttlidx:';
+        this.lockPrefix = labelKey + ':lock:';
     }
 
-    _async(func, ...args) {
-        return new Promise((resolve, reject) => {
-            try {
-                args.push((err, reply) => {
-                    if (err !== null) {
-                        reject(err);
-                    } else {
-                        resolve(reply);
-                    }
-                });
-                func.apply(this, args);
-            } catch(e) {
-                reject(e);
+    _createClient() {
+        const o = this.redisOptions;
+        const clientOptions = Object.assign({}, o.client);
+        for (const x of ['host', 'port', 'password', 'db']) {
+            if (o[x] !== undefined) {
+                clientOptions[x] = o[x];
             }
-        });
+        }
+        if (o.tls) {
+            clientOptions.tls = o.tls === true ? {} : o.tls;
+        }
+        if (o.cluster) {
+            return new Redis.Cluster(o.cluster, {redisOptions: clientOptions});
+        } else if (o.sentinels) {
+            if (!o.name) {
+                throw new TypeError("Sentinel connections require a master `name`");
+            }
+            clientOptions.sentinels = o.sentinels;
+            clientOptions.name = o.name;
+            return new Redis(clientOptions);
+        }
+        const url = o.url || (!o.host && process.env.REDIS_URL);
+        return url ? new Redis(url, clientOptions) : new Redis(clientOptions);
     }
 
-    async get(ns, key) {
-        return await this._async(super.hget, ns, key);
+    _key(ns) {
+        return this.keyPrefix + ns;
     }
 
-    async set(ns, key, value) {
-        return await this._async(super.hset, ns, key, value);
+    _ttlKey(ns, key) {
+        return this.ttlPrefix + ns + ':' + key;
     }
 
-    async keys(ns) {
-        return await this._async(super.hkeys, ns);
+    _ttlIndexKey(ns) {
+        return this.ttlIndexPrefix + ns;
     }
 
-    async del(ns, key) {
-        return await this._async(super.hdel, ns, key);
+    async _exec(commands) {
+        const replies = await this.client.multi(commands).exec();
+        for (const [err] of replies) {
+            if (err) {
+                throw err;
+            }
+        }
+        return replies.map(x => x[1]);
     }
 
-    async exists(ns, key) {
-        return await this._async(super.hexists, ns, key);
+    async _scan(match) {
+        const nodes = this.redisOptions.cluster ? this.client.nodes('master') : [this.client];
+        const keys = new Set();  // SCAN can return a key more than once.
+        for (const node of nodes) {
+            let cursor = '0';
+            do {
+                const [next, batch] = await node.scan(cursor, 'MATCH', match, 'COUNT', this.scanCount);
+                for (const x of batch) {
+                    keys.add(x);
+                }
+                cursor = next;
+            } while (cursor !== '0');
+        }
+        return keys;
     }
-}
 
+    _setCommands(ns, key, value, ttl) {
+        if (value === undefined) {
+            throw new Error("Tried to store undefined");
+        }
+        if (ttl) {
+            const ms = Math.ceil(ttl * 1000);
+            return [
+                ['hdel', this._key(ns), key],
+                ['set', this._ttlKey(ns, key), value, 'PX', ms],
+                ['zadd', this._ttlIndexKey(ns), Date.now() + ms, key]
+            ];
+        } else {
+            return [
+                ['hset', this._key(ns), key, value],
+                ['del', this._ttlKey(ns, key)],
+                ['zrem', this._ttlIndexKey(ns), key]
+            ];
+        }
+    }
 
-class RedisBacking extends StorageInterface {
+    _removeCommands(ns, key) {
+        return [
+            ['hdel', this._key(ns), key],
+            ['del', this._ttlKey(ns, key)],
+            ['zrem', this._ttlIndexKey(ns), key]
+        ];
+    }
 
-    constructor(label) {
-        super(label);
-        this.client = AsyncRedisClient.createClient(process.env.REDIS_URL);
+    async _liveTTLKeys(ns) {
+        const now = Date.now();
+        const [, keys] = await this._exec([
+            ['zremrangebyscore', this._ttlIndexKey(ns), '-inf', now],
+            ['zrangebyscore', this._ttlIndexKey(ns), '(' + now, '+inf']
+        ]);
+        return keys;
     }
 
-    async set(ns, key, value) {
-        if (value === undefined) {
-            throw new Error("Tried to store undefined");
+    async initialize() {
+        this.client = this._createClient();
+        this.client.on('error', e => this._emitError(e));
+        for (const x of forwardedEvents) {
+            this.client.on(x, (...args) => this.emit(x, ...args));
         }
-        await this.client.set(this.label + '-' + ns, key, value);
+        await this.client.ping();
+    }
+
+    async set(ns, key, value, ttl) {
+        await this._exec(this._setCommands(ns, key, value, ttl));
+    }
+
+    async batch(ops) {
+        const commands = [];
+        for (const x of ops) {
+            if (x.op === 'set') {
+                commands.push(...this._setCommands(x.ns, x.key, x.value, x.ttl));
+            } else if (x.op === 'remove') {
+                commands.push(...this._removeCommands(x.ns, x.key));
+            } else {
+                throw new TypeError("Invalid batch op: " + x.op);
+            }
+        }
+        await this._exec(commands);
     }
 
     async get(ns, key) {
-        if (await this.client.exists(this.label + '-' + ns, key)) {
-            return await this.client.get(this.label + '-' + ns, key);
+        const [value, ttlValue] = await this._exec([
+            ['hget', this._key(ns), key],
+            ['get', this._ttlKey(ns, key)]
+        ]);
+        if (value !== null) {
+            return value;
+        } else if (ttlValue !== null) {
+            return ttlValue;
         } else {
             throw new ReferenceError(key);
         }
     }
 
     async has(ns, key) {
-        return await this.client.exists(this.label + '-' + ns, key);
+        const [inHash, exists] = await this._exec([
+            ['hexists', this._key(ns), key],
+            ['exists', this._ttlKey(ns, key)]
+        ]);
+        return !!(inHash || exists);
+    }
+
+    async ttl(ns, key) {
+        const [inHash, ms] = await this._exec([
+            ['hexists', this._key(ns), key],
+            ['pttl', this._ttlKey(ns, key)]
+        ]);
+        if (inHash) {
+            return null;
+        } else if (ms >= 0) {
+            return ms / 1000;
+        } else {
+            throw new ReferenceError(key);
+        }
     }
 
     async remove(ns, key) {
-        await this.client.del(this.label + '-' + ns, key);
+        const [removed, deleted] = await this._exec(this._removeCommands(ns, key));
+        return !!(removed || deleted);
     }
 
     async keys(ns, regex) {
-        const keys = await this.client.keys(this.label + '-' + ns);
-        return regex ? keys.filter(x => x.match(regex)) : keys;
+        const prefix = regex && StorageInterface.regexLiteral(regex);
+        const match = prefix ? (prefix.anchored ? '' : '*') + globEscape(prefix.literal) + '*' : '*';
+        const keys = new Set();  // HSCAN can return a field more than once.
+        let cursor = '0';
+        do {
+            const [next, items] = await this.client.hscan(this._key(ns), cursor,
+                'MATCH', match, 'COUNT', this.scanCount);
+            for (let i = 0; i < items.length; i += 2) {
+                keys.add(items[i]);
+            }
+            cursor = next;
+        } while (cursor !== '0');
+        for (const x of await this._liveTTLKeys(ns)) {
+            keys.add(x);
+        }
+        const result = Array.from(keys);
+        return regex ? result.filter(x => x.match(regex)) : result;
+    }
+
+    /**
+     * The key pattern for our label also matches labels that start with it
+     * (e.g. `bot-prod` for `bot`), so namespaces containing `-` or `:` are
+     * not reported.
+     */
+    async namespaces() {
+        const namespaces = new Set();
+        for (const x of await this._scan(globEscape(this.keyPrefix) + '*')) {
+            const ns = x.substr(this.keyPrefix.length);
+            if (isOwnNamespace(ns)) {
+                namespaces.add(ns);
+            }
+        }
+        for (const x of await this._scan(globEscape(this.ttlIndexPrefix) + '*')) {
+            const ns = x.substr(this.ttlIndexPrefix.length);
+            if ((await this._liveTTLKeys(ns)).length) {
+                namespaces.add(ns);
+            }
+        }
+        return Array.from(namespaces);
+    }
+
+    /**
+     * Changes are received as redis keyspace notifications, which must be
+     * enabled on the server for hash commands (`notify-keyspace-events Kh`).
+     * These only identify the namespace (not the key) and include changes
+     * made by this backing.  Keys set with a ttl are not reported.  Not
+     * supported in cluster mode.
+     */
+    async watch(callback) {
+        if (this.redisOptions.cluster) {
+            throw new Error("Change notifications are not supported in cluster mode");
+        }
+        if (this.subscriber) {
+            throw new Error("Already watching");
+        }
+        const channelPrefix = `__keyspace@${this.client.options.db || 0}__:${this.keyPrefix}`;
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', e => this._emitError(e));
+        this.subscriber.on('pmessage', (pattern, channel, event) => {
+            const op = {hset: 'set', hdel: 'remove'}[event];
+            const ns = channel.substr(channelPrefix.length);
+            if (op && isOwnNamespace(ns)) {
+                callback({
+                    ns,
+                    op,
+                    existed: op === 'remove' ? true : undefined,
+                    exists: op === 'set'
+                });
+            }
+        });
+        await this.subscriber.psubscribe(globEscape(channelPrefix) + '*');
+    }
+
+    async unwatch() {
+        const subscriber = this.subscriber;
+        if (subscriber) {
+            this.subscriber = null;
+            await subscriber.quit();
+        }
+    }
+
+    createLockProvider(options) {
+        return new locks.RedisLockProvider(this, options);
     }
 
     async shutdown() {
-        this.client.quit();
+        await this.unwatch();
+        await this.client.quit();
         this.client = null;
     }
 }
@@ -0,0 +1,253 @@
+const StorageInterface = require('./interface');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const process = require('process');
+const queueAsync = require('../../queue_async');
+const sqlite3 = require('sqlite3');
+
+const defaultFile = path.join(os.homedir(), '.librelay', 'storage.sqlite');
+const dirMode = 0o700;
+const fileMode = 0o600;
+
+
+function chmod(file, mode) {
+    return new Promise((resolve, reject) => fs.chmod(file, mode, err => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve();
+        }
+    }));
+}
+
+
+/**
+ * @typedef {Object} SqliteOptions
+ * @property {number} [busyTimeout=10] - Seconds to wait for another connection
+ *                                       (or process) to finish writing.
+ */
+
+/*
+ * Several processes can share one database file.  It holds private keys so
+ * it is only readable by its owner.
+ */
+class SqliteBacking extends StorageInterface {
+
+    /**
+     * @param {string} label
+     * @param {Object} [options]
+     * @param {SqliteOptions} [options.sqlite]
+     * @param {number} [options.sweepInterval=60] - Seconds between sweeps of expired keys.
+     */
+    constructor(label, options) {
+        super(label);
+        this.sweepInterval = options && options.sweepInterval;
+        const sqliteOptions = Object.assign({}, options && options.sqlite);
+        this.busyTimeout = sqliteOptions.busyTimeout === undefined ? 10 : sqliteOptions.busyTimeout;
+        this.tableName = 'faux_redis_' + this.label.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+        this.filename = process.env.SQLITE_DATABASE || defaultFile;
+        this.queryCreateTableIfNeeded = `
+            CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                namespace TEXT,
+                key TEXT,
+                value TEXT,
+                expires INTEGER,
+                PRIMARY KEY (namespace, key)
+            );`;
+
+        this.queryGetColumns = `PRAGMA table_info(${this.tableName})`;
+
+        this.queryAddExpiresColumn = `
+            ALTER TABLE ${this.tableName} ADD COLUMN expires INTEGER`;
+
+        this.querySetValue = `
+            INSERT OR REPLACE INTO ${this.tableName} (namespace, key, value, expires)
+                VALUES (?, ?, ?, ?)`;
+
+        // Expiration times are in ms since the epoch.
+        const live = '(expires IS NULL OR expires > ?)';
+
+        this.queryGetValue = `
+            SELECT value FROM ${this.tableName} WHERE namespace=? AND key=? AND ${live}`;
+
+        this.queryGetExpires = `
+            SELECT expires FROM ${this.tableName} WHERE namespace=? AND key=? AND ${live}`;
+
+        this.queryRemoveValue = `
+            DELETE FROM ${this.tableName} WHERE namespace=? AND key=?`;
+
+        this.queryGetKeys = `
+            SELECT key FROM ${this.tableName} WHERE namespace=? AND ${live}`;
+
+        this.queryGetNamespaces = `
+            SELECT DISTINCT namespace FROM ${this.tableName} WHERE ${live}`;
+
+        this.queryRemoveExpired = `
+            DELETE FROM ${this.tableName} WHERE expires <= ?`;
+    }
+
+    _async(method, ...args) {
+        /* Serialize access so a batch's transaction never picks up unrelated
+         * statements from the same connection. */
+        return queueAsync(this, () => this._call(method, ...args));
+    }
+
+    _call(method, ...args) {
+        return new Promise((resolve, reject) => {
+            this.db[method](...args, function(err, result) {
+                if (err) {
+                    reject(err);
+                } else {
+                    // `run` reports its results via `this` (lastID, changes).
+                    resolve(method === 'run' ? this : result);
+                }
+            });
+        });
+    }
+
+    async _createFile() {
+        await new Promise((resolve, reject) => {
+            fs.mkdir(path.dirname(this.filename), dirMode, err => {
+                if (err && err.code !== 'EEXIST') {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+        // Create it ourselves so it never exists with the default umask.
+        await new Promise((resolve, reject) => {
+            fs.open(this.filename, 'a', fileMode, (err, fd) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    fs.close(fd, resolve);
+                }
+            });
+        });
+        /* Files created by older versions used the default umask.  The WAL
+         * files sqlite creates beside it copy the file's permissions. */
+        await chmod(this.filename, fileMode);
+    }
+
+    async initialize() {
+        if (this.filename !== ':memory:') {
+            await this._createFile();
+        }
+        this.db = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.filename, err => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(db);
+                }
+            });
+        });
+        this.db.configure('busyTimeout', this.busyTimeout * 1000);
+        if (this.filename !== ':memory:') {
+            // Readers don't block the writer and vice versa.
+            await this._async('run', 'PRAGMA journal_mode=WAL');
+        }
+        await this._async('run', this.queryCreateTableIfNeeded);
+        const columns = await this._async('all', this.queryGetColumns);
+        if (!columns.some(x => x.name === 'expires')) {
+            await this._async('run', this.queryAddExpiresColumn);
+        }
+        this.initialized = true;
+        this._startSweeper(this.sweepInterval);
+    }
+
+    _expires(ttl) {
+        return ttl ? Date.now() + ttl * 1000 : null;
+    }
+
+    async set(ns, key, value, ttl) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        if (value === undefined) throw new Error("Tried to store undefined");
+        const result = await this._async('run', this.querySetValue, [ns, key, value, this._expires(ttl)]);
+        if (result.changes !== 1) throw new Error('Failure in sqlite set');
+    }
+
+    async batch(ops) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        for (const x of ops) {
+            if (x.op !== 'set' && x.op !== 'remove') throw new TypeError("Invalid batch op: " + x.op);
+            if (x.op === 'set' && x.value === undefined) throw new Error("Tried to store undefined");
+        }
+        await queueAsync(this, async () => {
+            // Take the write lock up front so the busy timeout applies to it.
+            await this._call('run', 'BEGIN IMMEDIATE');
+            try {
+                for (const x of ops) {
+                    if (x.op === 'set') {
+                        await this._call('run', this.querySetValue,
+                                         [x.ns, x.key, x.value, this._expires(x.ttl)]);
+                    } else {
+                        await this._call('run', this.queryRemoveValue, [x.ns, x.key]);
+                    }
+                }
+                await this._call('run', 'COMMIT');
+            } catch(e) {
+                await this._call('run', 'ROLLBACK');
+                throw e;
+            }
+        });
+    }
+
+    async get(ns, key) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const row = await this._async('get', this.queryGetValue, [ns, key, Date.now()]);
+        if (!row) throw new ReferenceError(key);
+        return row.value;
+    }
+
+    async has(ns, key) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const row = await this._async('get', this.queryGetValue, [ns, key, Date.now()]);
+        return !!row;
+    }
+
+    async ttl(ns, key) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const now = Date.now();
+        const row = await this._async('get', this.queryGetExpires, [ns, key, now]);
+        if (!row) throw new ReferenceError(key);
+        return row.expires === null ? null : (row.expires - now) / 1000;
+    }
+
+    async remove(ns, key) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const result = await this._async('run', this.queryRemoveValue, [ns, key]);
+        return result.changes === 1;
+    }
+
+    async keys(ns, regex) {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const rows = await this._async('all', this.queryGetKeys, [ns, Date.now()]);
+        const keys = rows.map(r => r.key);
+        return regex ? keys.filter(x => x.match(regex)) : keys;
+    }
+
+    async namespaces() {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const rows = await this._async('all', this.queryGetNamespaces, [Date.now()]);
+        return rows.map(r => r.namespace);
+    }
+
+    async sweep() {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        const result = await this._async('run', this.queryRemoveExpired, [Date.now()]);
+        return result.changes;
+    }
+
+    async shutdown() {
+        if (!this.initialized) throw new Error("Tried to use uninitialized store");
+        this._stopSweeper();
+        await this._async('close');
+        this.db = null;
+        this.initialized = false;
+    }
+}
+
+module.exports = SqliteBacking;
@@ -0,0 +1,86 @@
+// vim: ts=4:sw=4:expandtab
+
+/**
+ * Tools for moving data between {@link module:storage/backing~StorageInterface}
+ * instances.  E.g. migrating from the fs backing to postgres.
+ *
+ * @module storage/copy
+ */
+
+
+/**
+ * @typedef {Object} CopyResult
+ * @property {Object} counts - Number of keys copied, indexed by namespace.
+ * @property {number} total - Total number of keys copied.
+ */
+
+/**
+ * Copy every key from one backing into another.  Both backings must already
+ * be initialized.  Because each backing is bound to a label, the data can be
+ * given a new label by constructing the target with it.  Keys with a ttl
+ * keep the time they have left.
+ *
+ * @param {module:storage/backing~StorageInterface} source
+ * @param {module:storage/backing~StorageInterface} target
+ * @param {Object} [options]
+ * @param {string[]} [options.namespaces] - Limit the copy to these namespaces.
+ * @param {boolean} [options.clear=false] - Remove target keys not present in the source.
+ * @param {boolean} [options.verify=true] - Read back and compare every value, and
+ *        check the target holds exactly the expected keys.
+ * @returns {CopyResult}
+ */
+async function copyStore(source, target, options) {
+    options = options || {};
+    const verify = options.verify !== false;
+    const namespaces = options.namespaces || await source.namespaces();
+    const counts = {};
+    let total = 0;
+    for (const ns of namespaces) {
+        const ops = [];
+        const values = new Map();
+        for (const key of await source.keys(ns)) {
+            let value;
+            let ttl;
+            try {
+                ttl = await source.ttl(ns, key);
+                value = (await source.get(ns, key)).toString();
+            } catch(e) {
+                if (e instanceof ReferenceError) {
+                    continue;  // Expired or removed since it was listed.
+                }
+                throw e;
+            }
+            values.set(key, value);
+            ops.push({op: 'set', ns, key, value, ttl});
+        }
+        const expected = new Set(values.keys());
+        for (const key of await target.keys(ns)) {
+            if (options.clear && !values.has(key)) {
+                ops.push({op: 'remove', ns, key});
+            } else {
+                expected.add(key);
+            }
+        }
+        await target.batch(ops);
+        if (verify) {
+            const targetKeys = await target.keys(ns);
+            if (targetKeys.length !== expected.size || !targetKeys.every(x => expected.has(x))) {
+                throw new Error(`Key count mismatch for ${ns}: ` +
+                                `${expected.size} != ${targetKeys.length}`);
+            }
+            for (const [key, value] of values) {
+                if ((await target.get(ns, key)).toString() !== value) {
+                    throw new Error(`Value mismatch for ${ns}/${key}`);
+                }
+            }
+        }
+        counts[ns] = values.size;
+        total += values.size;
+    }
+    return {counts, total};
+}
+
+
+module.exports = {
+    copyStore
+};
@@ -4,25 +4,40 @@
  * @module storage
  */
 
+const archive = require('./archive');
+const eventing = require('../eventing');
 const util = require('../util');
 const libsignal = require('libsignal');
+const node_crypto = require('crypto');
 const process = require('process');
+const uuid4 = require('uuid/v4');
 exports.backing = require('./backing');
+exports.migrations = require('./migrations');
+exports.copy = require('./copy');
+exports.locks = require('./locks');
+exports.trust = require('./trust');
 
 const defaultBacking = process.env.RELAY_STORAGE_BACKING || 'fs';
 const defaultLabel = process.env.RELAY_STORAGE_LABEL || 'default';
+const defaultPassphrase = process.env.RELAY_STORAGE_PASSPHRASE;
+const defaultKeyFile = process.env.RELAY_STORAGE_KEYFILE;
+const defaultTrustPolicy = process.env.RELAY_TRUST_POLICY || 'tofu';
 
 const stateNS = 'state';
 const sessionNS = 'session';
+const sessionUsedNS = 'sessionused';
 const preKeyNS = 'prekey';
 const signedPreKeyNS = 'signedprekey';
 const identityKeyNS = 'identitykey';
+const verifiedNS = 'verified';
+const identityHistoryNS = 'identityhistory';
 const blockedNS = 'blocked';
+const accountNamespaces = [stateNS, identityKeyNS, verifiedNS, identityHistoryNS, sessionNS,
+                           sessionUsedNS, preKeyNS, signedPreKeyNS];
+const allNamespaces = [stateNS, sessionNS, sessionUsedNS, preKeyNS, signedPreKeyNS, identityKeyNS,
+                       verifiedNS, identityHistoryNS, blockedNS, exports.migrations.schemaNS];
 
-
-let _backing;
-let _Backing;
-let _label = defaultLabel;
+let lastHistoryTimestamp = 0;
 
 
 function encode(data) {
@@ -56,442 +71,1228 @@ function decode(obj) {
     }
 }
 
+function keyFingerprint(publicKey) {
+    return node_crypto.createHash('sha256').update(publicKey).digest('hex');
+}
+
 
 /**
- * Initialize the current {@link module:storage/backing~StorageInterface}
+ * @typedef {Object} IdentityHistoryEntry
+ * @property {string} addr - Address of peer.
+ * @property {number} timestamp
+ * @property {?string} oldFingerprint - SHA-256 (hex) of the replaced key or null
+ *                                      for the first key of a peer.
+ * @property {string} newFingerprint - SHA-256 (hex) of the new key.
+ * @property {string} acceptance - `implicit` (by the trust policy), `accept`
+ *                                 (by {@link module:eventing~KeyChangeEvent#accept}),
+ *                                 `forced` or `manual` (a direct
+ *                                 {@link module:storage~Storage#saveIdentity} call).
  */
-exports.initialize = () => _backing.initialize();
 
 
 /**
- * Get a value from the current {@link module:storage/backing~StorageInterface}
- *
- * @param {string} ns - Namespace for the store.
- * @param {string} key
- * @param {*} [defaultValue] - Value to return if key is not present.
- * @returns {*} Decoded value from the current
- *              {@link module:storage/backing~StorageInterface}
+ * @typedef {Object} SessionInfo
+ * @property {EncodedUserAddress} encodedAddr
+ * @property {string} addr - Address of peer.
+ * @property {number} deviceId
+ * @property {boolean} open - If the record holds an open session.
+ * @property {?number} created - When the newest session state was created.
+ * @property {?number} lastUsed - When the session was last stored after a message
+ *                                was encrypted or decrypted with it, or failing
+ *                                that when the newest state was created.
+ * @property {number} archived - Number of closed session states kept.
  */
-exports.get = async (ns, key, defaultValue) => {
-    let data;
-    try {
-        data = await _backing.get(ns, key);
-    } catch(e) {
-        if (e instanceof ReferenceError) {
-            return defaultValue;
-        } else {
-            throw e;
-        }
-    }
-    return data && decode(data);
-};
 
 
 /**
- * Set a value in the current {@link module:storage/backing~StorageInterface}.
+ * Collection of writes that are committed together.  Backings that support
+ * transactions apply all or none of the writes.
  *
- * @param {string} ns - Namespace for the store.
- * @param {string} key
- * @param {*} value
+ * @example
+ * await storage.batch().putState('a', 1).putState('b', 2).commit();
  */
-exports.set = (ns, key, value) => _backing.set(ns, key, encode(value));
+class Batch {
+
+    /**
+     * @param {module:storage~Storage} storage
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.ops = [];
+    }
 
+    /**
+     * @param {string} ns - Namespace for the store.
+     * @param {string} key
+     * @param {*} value
+     * @param {number} [ttl] - Seconds until the key expires.
+     * @returns {module:storage~Batch} this
+     */
+    set(ns, key, value, ttl) {
+        const op = {op: 'set', ns, key, value: encode(value)};
+        if (ttl) {
+            op.ttl = ttl;
+        }
+        this.ops.push(op);
+        return this;
+    }
 
-/**
- * Test if a key is present in the current {@link module:storage/backing~StorageInterface}.
- *
- * @param {string} ns - Namespace for the store.
- * @param {string} key
- * @returns {boolean} - True if the key is present.
- */
-exports.has = (ns, key, value) => _backing.has(ns, key);
+    /**
+     * @param {string} ns - Namespace for the store.
+     * @param {string} key
+     * @returns {module:storage~Batch} this
+     */
+    remove(ns, key) {
+        this.ops.push({op: 'remove', ns, key});
+        return this;
+    }
 
+    putState(key, value) {
+        return this.set(stateNS, key, value);
+    }
 
-/**
- * Remove an entry from the current {@link module:storage/backing~StorageInterface}.
- *
- * @param {string} ns - Namespace for the store.
- * @param {string} key
- */
-exports.remove = (ns, key) => _backing.remove(ns, key);
+    removeState(key) {
+        return this.remove(stateNS, key);
+    }
 
+    saveOurIdentity(keyPair) {
+        this.putState('ourIdentityKey.pub', keyPair.pubKey);
+        return this.putState('ourIdentityKey.priv', keyPair.privKey);
+    }
 
-/**
- * Scan the {@link module:storage/backing~StorageInterface} for keys.
- *
- * @param {string} ns - Namespace for the store.
- * @param {RegExp} [re] - Regular expression filter.
- * @returns {string[]} - Array of matching keys.
- */
-exports.keys = (ns, re) => _backing.keys(ns, re);
+    removeOurIdentity() {
+        this.removeState('ourIdentityKey.pub');
+        return this.removeState('ourIdentityKey.priv');
+    }
 
+    storePreKey(keyId, keyPair) {
+        this.set(preKeyNS, keyId + '.priv', keyPair.privKey);
+        return this.set(preKeyNS, keyId + '.pub', keyPair.pubKey);
+    }
 
-/**
- * Shutdown the current {@link module:storage/backing~StorageInterface}.
- */
-exports.shutdown = () => _backing.shutdown();
+    removePreKey(keyId) {
+        this.remove(preKeyNS, keyId + '.pub');
+        return this.remove(preKeyNS, keyId + '.priv');
+    }
 
+    storeSignedPreKey(keyId, keyPair) {
+        this.set(signedPreKeyNS, keyId + '.priv', keyPair.privKey);
+        this.set(signedPreKeyNS, keyId + '.created', Date.now());
+        return this.set(signedPreKeyNS, keyId + '.pub', keyPair.pubKey);
+    }
 
-/**
- * Get a global state value from the {@link module:storage/backing~StorageInterface}.
- *
- * @param {string} key
- * @param {*} [defaultValue] - Value to return if key is not present.
- * @returns {*}
- */
-exports.getState = async function(key, defaultValue) {
-    return await exports.get(stateNS, key, defaultValue);
-};
+    removeSignedPreKey(keyId) {
+        this.remove(signedPreKeyNS, keyId + '.pub');
+        this.remove(signedPreKeyNS, keyId + '.created');
+        return this.remove(signedPreKeyNS, keyId + '.priv');
+    }
 
+    /**
+     * Set the trusted identity key for a peer without any of the session
+     * cleanup done by {@link module:storage~Storage#saveIdentity}.
+     */
+    putIdentity(addr, publicKey) {
+        return this.set(identityKeyNS, addr, publicKey);
+    }
 
-/**
- * Set a global state value in the {@link module:storage/backing~StorageInterface}.
- *
- * @param {string} key
- * @param {*} value
- */
-exports.putState = async function(key, value) {
-    return await exports.set(stateNS, key, value);
-};
+    removeIdentity(addr) {
+        this.remove(verifiedNS, addr);
+        return this.remove(identityKeyNS, addr);
+    }
 
+    /**
+     * Queue removal of all the sessions for a peer, or every session when
+     * `addr` is omitted.
+     *
+     * @param {string} [addr]
+     */
+    async removeAllSessions(addr) {
+        const re = addr ? new RegExp('^' + addr + '\\.') : undefined;
+        for (const ns of [sessionNS, sessionUsedNS]) {
+            for (const x of await this.storage.backing.keys(ns, re)) {
+                this.remove(ns, x);
+            }
+        }
+        return this;
+    }
 
-/**
- * Remove a value from the state store.
- * @param {string} key
- */
-exports.removeState = async function(key) {
-    return await _backing.remove(stateNS, key);
-};
+    /**
+     * Apply all the writes in this batch.
+     */
+    async commit() {
+        const ops = this.ops;
+        this.ops = [];
+        if (!ops.length) {
+            return;
+        }
+        let changes;
+        if (this.storage._isObserved()) {
+            changes = [];
+            const present = new Map();
+            for (const x of ops) {
+                const id = x.ns + '/' + x.key;
+                const existed = present.has(id) ? present.get(id) :
+                    await this.storage.backing.has(x.ns, x.key);
+                present.set(id, x.op === 'set');
+                changes.push({ns: x.ns, key: x.key, op: x.op, existed, exists: x.op === 'set'});
+            }
+        }
+        await this.storage.backing.batch(ops);
+        if (changes) {
+            for (const x of changes) {
+                this.storage._dispatchChange(x);
+            }
+        }
+    }
+}
+exports.Batch = Batch;
 
 
-/**
- * @returns {KeyPair} The current user's identity key pair.
- */
-exports.getOurIdentity = async function() {
+function getBackingClass(name) {
     return {
-        pubKey: await exports.getState('ourIdentityKey.pub'),
-        privKey: await exports.getState('ourIdentityKey.priv')
-    };
-};
+        redis: exports.backing.RedisBacking,
+        postgres: exports.backing.PostgresBacking,
+        sqlite: exports.backing.SqliteBacking,
+        fs: exports.backing.FSBacking,
+        memory: exports.backing.MemoryBacking
+    }[name];
+}
 
+function resolveOptions(options) {
+    options = Object.assign({}, options);
+    if (options.encryption === undefined && (defaultPassphrase || defaultKeyFile)) {
+        options.encryption = {
+            passphrase: defaultPassphrase,
+            keyFile: defaultKeyFile
+        };
+    }
+    return options;
+}
 
 /**
- * @param {KeyPair} keyPair - New identity key pair for current user.
+ * @typedef {Object} BackingOptions
+ * @property {Object} [encryption] - Encrypt values at rest.  Defaults to using
+ *                                   `RELAY_STORAGE_PASSPHRASE` or `RELAY_STORAGE_KEYFILE`
+ *                                   from the env when either is set.
+ * @property {string} [encryption.passphrase]
+ * @property {string} [encryption.keyFile] - Path to a file containing the key material.
+ * @property {(boolean|Object)} [cache] - Put an LRU cache in front of the backing.  Use
+ *                                        `true` for the default limits.
+ * @property {Object} [cache.limits] - Max entries per namespace, e.g. `{session: 1000}`.
+ *                                     Namespaces without a limit are not cached.
+ * @property {module:storage/backing~PostgresOptions} [postgres] - Connection
+ *                                     and pool settings for the postgres backing.
+ * @property {module:storage/backing~SqliteOptions} [sqlite] - Settings for the sqlite backing.
+ * @property {number} [sweepInterval=60] - Seconds between sweeps of expired keys for
+ *                                         backings without native expiry.  `0` disables it.
+ * @property {(boolean|module:storage/locks~LockOptions|module:storage/locks~LockProvider)} [locks] -
+ *           Serialize session changes across every process using the label.  Use `true` (or
+ *           lock options) for the backing's native locks; Only redis and postgres have them.
  */
-exports.saveOurIdentity = async function(keyPair) {
-    await exports.putState('ourIdentityKey.pub', keyPair.pubKey);
-    await exports.putState('ourIdentityKey.priv', keyPair.privKey);
-};
-
 
 /**
- * Remove the current user's identity key pair.
+ * Construct a standalone {@link module:storage/backing~StorageInterface}
+ * without changing the active one.  Useful for copying data between stores.
+ *
+ * @param {(module:storage/backing~StorageInterface|string)} Backing - Class or string label.
+ * @param {string} label
+ * @param {BackingOptions} [options]
+ * @returns {module:storage/backing~StorageInterface}
  */
-exports.removeOurIdentity = async function() {
-    await exports.removeState('ourIdentityKey.pub');
-    await exports.removeState('ourIdentityKey.priv');
+exports.createBacking = function(Backing, label, options) {
+    if (typeof Backing === 'string') {
+        Backing = getBackingClass(Backing);
+    }
+    if (!Backing) {
+        throw new TypeError("Invalid storage backing: " + Backing);
+    }
+    options = resolveOptions(options);
+    let backing = new Backing(label, options);
+    if (options.encryption) {
+        backing = new exports.backing.EncryptedBacking(label, backing, Object.assign({
+            namespaces: allNamespaces
+        }, options.encryption));
+    }
+    if (options.cache) {
+        backing = new exports.backing.CachedBacking(label, backing,
+            options.cache === true ? undefined : options.cache);
+    }
+    return backing;
 };
 
 
 /**
- * @returns {?number} The current user's registration identifier.
+ * Copy all the data for a label from one backing to another, verifying the
+ * result.  Neither backing needs to be the active one.
+ *
+ * @example
+ * await storage.copyLabel({backing: 'fs', label: 'default'},
+ *                         {backing: 'postgres', label: 'prod'});
+ *
+ * @param {Object} from
+ * @param {(module:storage/backing~StorageInterface|string)} from.backing
+ * @param {string} from.label
+ * @param {BackingOptions} [from.options]
+ * @param {Object} to - Same form as `from`.  Use a different label to rename.
+ * @param {Object} [options] - See {@link module:storage/copy.copyStore}.
+ * @returns {module:storage/copy~CopyResult}
  */
-exports.getOurRegistrationId = async function() {
-    return await exports.getState('registrationId');
+exports.copyLabel = async function(from, to, options) {
+    const source = exports.createBacking(from.backing, from.label, from.options);
+    const target = exports.createBacking(to.backing, to.label, to.options);
+    await source.initialize();
+    try {
+        await target.initialize();
+        try {
+            return await exports.copy.copyStore(source, target, options);
+        } finally {
+            await target.shutdown();
+        }
+    } finally {
+        await source.shutdown();
+    }
 };
 
 
 /**
- * Get a prekey pair for the current user.
+ * A storage context for one account.  It binds a label to a
+ * {@link module:storage/backing~StorageInterface} and provides the key
+ * material interface used by libsignal.  Several instances can be used side
+ * by side to run more than one account in the same process; The functions
+ * exported by this module operate on a default instance.
+ *
+ * @example
+ * const store = new storage.Storage({backing: 'postgres', label: 'bot2'});
+ * await store.initialize();
+ * const sender = await MessageSender.factory({storage: store});
  *
- * @param {number} keyId
- * @returns {?KeyPair}
+ * @extends {module:eventing~EventTarget}
+ * @fires module:eventing~StorageChangeEvent
  */
-exports.loadPreKey = async function(keyId) {
-    if (!await _backing.has(preKeyNS, keyId + '.pub')) {
-        return;
+class Storage extends eventing.EventTarget {
+
+    /**
+     * @param {Object} [options]
+     * @param {(module:storage/backing~StorageInterface|string)} [options.backing] -
+     *        Class or string label.  Defaults to `RELAY_STORAGE_BACKING` or `fs`.
+     * @param {string} [options.label] - Defaults to `RELAY_STORAGE_LABEL` or `default`.
+     * @param {BackingOptions} [options.backingOptions]
+     * @param {(module:storage/trust~TrustPolicy|string)} [options.trustPolicy] -
+     *        Instance or one of `strict`, `tofu` or `always`.  Defaults to
+     *        `RELAY_TRUST_POLICY` or `tofu`.
+     */
+    constructor(options) {
+        super();
+        options = options || {};
+        this.label = options.label || defaultLabel;
+        this.setBacking(options.backing || defaultBacking, options.backingOptions);
+        this.setTrustPolicy(options.trustPolicy || defaultTrustPolicy);
+        this.preKeyMaintainer = null;  // Set by a running PreKeyMaintainer.
     }
-    return {
-        pubKey: await exports.get(preKeyNS, keyId + '.pub'),
-        privKey: await exports.get(preKeyNS, keyId + '.priv')
-    };
-};
 
+    /**
+     * Initialize the current {@link module:storage/backing~StorageInterface}
+     * and apply any pending {@link module:storage/migrations}.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Report pending migrations without
+     *                                           applying them.
+     * @returns {module:storage/migrations~Migration[]} Migrations that were (or
+     *                                                  would be) applied.
+     */
+    async initialize(options) {
+        await this.backing.initialize();
+        return await exports.migrations.run(this, options);
+    }
 
-/**
- * Store a new prekey pair for the current user.
- *
- * @param {number} keyId
- * @param {KeyPair} keyPair
- */
-exports.storePreKey = async function(keyId, keyPair) {
-    await exports.set(preKeyNS, keyId + '.priv', keyPair.privKey);
-    await exports.set(preKeyNS, keyId + '.pub', keyPair.pubKey);
-};
+    /**
+     * Get a value from the current {@link module:storage/backing~StorageInterface}
+     *
+     * @param {string} ns - Namespace for the store.
+     * @param {string} key
+     * @param {*} [defaultValue] - Value to return if key is not present.
+     * @returns {*} Decoded value from the current
+     *              {@link module:storage/backing~StorageInterface}
+     */
+    async get(ns, key, defaultValue) {
+        let data;
+        try {
+            data = await this.backing.get(ns, key);
+        } catch(e) {
+            if (e instanceof ReferenceError) {
+                return defaultValue;
+            } else {
+                throw e;
+            }
+        }
+        return data && decode(data);
+    }
 
+    /**
+     * Set a value in the current {@link module:storage/backing~StorageInterface}.
+     *
+     * @param {string} ns - Namespace for the store.
+     * @param {string} key
+     * @param {*} value
+     * @param {number} [ttl] - Seconds until the key expires and is treated as
+     *                         missing.  Without it the key is permanent.
+     */
+    async set(ns, key, value, ttl) {
+        const existed = this._isObserved() ? await this.backing.has(ns, key) : undefined;
+        await this.backing.set(ns, key, encode(value), ttl);
+        if (existed !== undefined) {
+            this._dispatchChange({ns, key, op: 'set', existed, exists: true});
+        }
+    }
 
-/**
- * Remove a prekey pair for the current user.
- *
- * @param {number} keyId
- */
-exports.removePreKey = async function(keyId) {
-    try {
-        await _backing.remove(preKeyNS, keyId + '.pub');
-        await _backing.remove(preKeyNS, keyId + '.priv');
-    } finally {
-        // Avoid circular require..
-        const hub = require('../hub');
-        const signal = await hub.SignalClient.factory();
-        await signal.refreshPreKeys();
+    /**
+     * Test if a key is present in the current {@link module:storage/backing~StorageInterface}.
+     *
+     * @param {string} ns - Namespace for the store.
+     * @param {string} key
+     * @returns {boolean} - True if the key is present.
+     */
+    has(ns, key, value) {
+        return this.backing.has(ns, key);
     }
-};
 
+    /**
+     * Remove an entry from the current {@link module:storage/backing~StorageInterface}.
+     *
+     * @param {string} ns - Namespace for the store.
+     * @param {string} key
+     */
+    async remove(ns, key) {
+        const existed = this._isObserved() ? await this.backing.has(ns, key) : undefined;
+        const result = await this.backing.remove(ns, key);
+        if (existed !== undefined) {
+            this._dispatchChange({ns, key, op: 'remove', existed, exists: false});
+        }
+        return result;
+    }
 
-/**
- * Get a signed prekey pair for the current user.
- *
- * @param {number} keyId
- * @returns {?KeyPair}
- */
-exports.loadSignedPreKey = async function(keyId) {
-    if (!await _backing.has(signedPreKeyNS, keyId + '.pub')) {
-        return;
+    /**
+     * Scan the {@link module:storage/backing~StorageInterface} for keys.
+     *
+     * @param {string} ns - Namespace for the store.
+     * @param {RegExp} [re] - Regular expression filter.
+     * @returns {string[]} - Array of matching keys.
+     */
+    keys(ns, re) {
+        return this.backing.keys(ns, re);
     }
-    return {
-        pubKey: await exports.get(signedPreKeyNS, keyId + '.pub'),
-        privKey: await exports.get(signedPreKeyNS, keyId + '.priv')
-    };
-};
 
+    /**
+     * Shutdown the current {@link module:storage/backing~StorageInterface}.
+     */
+    shutdown() {
+        return this.backing.shutdown();
+    }
 
-/**
- * Store a new signed prekey pair for the current user.
- *
- * @param {number} keyId
- * @param {KeyPair} keyPair
- */
-exports.storeSignedPreKey = async function(keyId, keyPair) {
-    await exports.set(signedPreKeyNS, keyId + '.priv', keyPair.privKey);
-    await exports.set(signedPreKeyNS, keyId + '.pub', keyPair.pubKey);
-};
+    _isObserved() {
+        return !!(this._listeners && this._listeners.storagechange &&
+                  this._listeners.storagechange.length);
+    }
 
+    _dispatchChange(change) {
+        // Not awaited so slow listeners don't hold up writes.
+        this.dispatchEvent(new eventing.StorageChangeEvent(change, this));
+    }
 
-/**
- * Remove a signed prekey pair for the current user.
- *
- * @param {number} keyId
- */
-exports.removeSignedPreKey = async function(keyId) {
-    await _backing.remove(signedPreKeyNS, keyId + '.pub');
-    await _backing.remove(signedPreKeyNS, keyId + '.priv');
-};
+    /**
+     * Also fire {@link module:eventing~StorageChangeEvent} events for changes
+     * made by other processes sharing this label.  Requires a backing with a
+     * change feed (postgres or redis) and must be called after
+     * {@link module:storage~Storage#initialize}.
+     */
+    async watch() {
+        await this.backing.watch(change =>
+            this._dispatchChange(Object.assign({remote: true}, change)));
+    }
 
+    /**
+     * Stop receiving changes from other processes.
+     */
+    async unwatch() {
+        await this.backing.unwatch();
+    }
 
-/**
- * Load a signal cipher session for a peer.
- *
- * @param {EncodedUserAddress} encodedAddr
- * @returns {?libsignal.SessionRecord}
- */
-exports.loadSession = async function(encodedAddr) {
-    if (encodedAddr === null || encodedAddr === undefined) {
-        throw new Error("Tried to get session for undefined/null addr");
+    /**
+     * Start a new batch of writes for the current
+     * {@link module:storage/backing~StorageInterface}.
+     *
+     * @returns {module:storage~Batch}
+     */
+    batch() {
+        return new Batch(this);
     }
-    const data = await exports.get(sessionNS, encodedAddr);
-    if (data !== undefined) {
-        return libsignal.SessionRecord.deserialize(data);
+
+    /**
+     * Get a global state value from the {@link module:storage/backing~StorageInterface}.
+     *
+     * @param {string} key
+     * @param {*} [defaultValue] - Value to return if key is not present.
+     * @returns {*}
+     */
+    async getState(key, defaultValue) {
+        return await this.get(stateNS, key, defaultValue);
     }
-};
 
+    /**
+     * Set a global state value in the {@link module:storage/backing~StorageInterface}.
+     *
+     * @param {string} key
+     * @param {*} value
+     */
+    async putState(key, value) {
+        return await this.set(stateNS, key, value);
+    }
 
-/**
- * Store a signal cipher session for a peer.
- *
- * @param {EncodedUserAddress} encodedAddr
- * @returns {libsignal.SessionRecord} record
- */
-exports.storeSession = async function(encodedAddr, record) {
-    if (encodedAddr === null || encodedAddr === undefined) {
-        throw new Error("Tried to set session for undefined/null addr");
+    /**
+     * Remove a value from the state store.
+     * @param {string} key
+     */
+    async removeState(key) {
+        return await this.remove(stateNS, key);
     }
-    await exports.set(sessionNS, encodedAddr, record.serialize());
-};
 
+    /**
+     * @returns {KeyPair} The current user's identity key pair.
+     */
+    async getOurIdentity() {
+        return {
+            pubKey: await this.getState('ourIdentityKey.pub'),
+            privKey: await this.getState('ourIdentityKey.priv')
+        };
+    }
 
-/**
- * Remove a signal session cipher record for a peer.
- *
- * @param {EncodedUserAddress} encodedAddr
- */
-exports.removeSession = async function(encodedAddr) {
-    await _backing.remove(sessionNS, encodedAddr);
-};
+    /**
+     * @param {KeyPair} keyPair - New identity key pair for current user.
+     */
+    async saveOurIdentity(keyPair) {
+        await this.batch().saveOurIdentity(keyPair).commit();
+    }
 
+    /**
+     * Remove the current user's identity key pair.
+     */
+    async removeOurIdentity() {
+        await this.batch().removeOurIdentity().commit();
+    }
 
-/**
- * Remove all signal session cipher records for a peer.
- *
- * @param {string} addr - UUID of peer.
- */
-exports.removeAllSessions = async function _removeAllSessions(addr) {
-    if (addr === null || addr === undefined) {
-        throw new Error("Tried to remove sessions for undefined/null addr");
+    /**
+     * @returns {?number} The current user's registration identifier.
+     */
+    async getOurRegistrationId() {
+        return await this.getState('registrationId');
+    }
+
+    /**
+     * Get a prekey pair for the current user.
+     *
+     * @param {number} keyId
+     * @returns {?KeyPair}
+     */
+    async loadPreKey(keyId) {
+        if (!await this.backing.has(preKeyNS, keyId + '.pub')) {
+            return;
+        }
+        return {
+            pubKey: await this.get(preKeyNS, keyId + '.pub'),
+            privKey: await this.get(preKeyNS, keyId + '.priv')
+        };
     }
-    for (const x of await _backing.keys(sessionNS, new RegExp(addr + '\\..*'))) {
-        await _backing.remove(sessionNS, x);
+
+    /**
+     * Store a new prekey pair for the current user.
+     *
+     * @param {number} keyId
+     * @param {KeyPair} keyPair
+     */
+    async storePreKey(keyId, keyPair) {
+        await this.batch().storePreKey(keyId, keyPair).commit();
     }
-};
 
+    /**
+     * Remove a prekey pair for the current user.  The server's prekeys are
+     * then checked by our {@link PreKeyMaintainer}, if one is running.
+     *
+     * @param {number} keyId
+     */
+    async removePreKey(keyId) {
+        try {
+            await this.batch().removePreKey(keyId).commit();
+        } finally {
+            if (this.preKeyMaintainer) {
+                this.preKeyMaintainer.check();  // Reports its own errors.
+            } else {
+                // Avoid circular require..
+                const hub = require('../hub');
+                const signal = await hub.SignalClient.factory({storage: this});
+                await signal.refreshPreKeys();
+            }
+        }
+    }
 
-/**
- * Clear all signal session cipher records.
- */
-exports.clearSessionStore = async function() {
-    for (const x of await _backing.keys(sessionNS)) {
-        await _backing.remove(sessionNS, x);
+    /**
+     * Get a signed prekey pair for the current user.
+     *
+     * @param {number} keyId
+     * @returns {?KeyPair}
+     */
+    async loadSignedPreKey(keyId) {
+        if (!await this.backing.has(signedPreKeyNS, keyId + '.pub')) {
+            return;
+        }
+        return {
+            pubKey: await this.get(signedPreKeyNS, keyId + '.pub'),
+            privKey: await this.get(signedPreKeyNS, keyId + '.priv')
+        };
     }
-};
 
+    /**
+     * Store a new signed prekey pair for the current user.
+     *
+     * @param {number} keyId
+     * @param {KeyPair} keyPair
+     */
+    async storeSignedPreKey(keyId, keyPair) {
+        await this.batch().storeSignedPreKey(keyId, keyPair).commit();
+    }
 
-/**
- * Determine if a peer's public identity key matches our records.
- *
- * @param {string} identifier - Address of peer
- * @param {Buffer} publicKey - Public key to test.
- * @returns {boolean}
- */
-exports.isTrustedIdentity = async function(identifier, publicKey) {
-    if (!identifier) {
-        throw new TypeError("`identifier` required");
+    /**
+     * Remove a signed prekey pair for the current user.
+     *
+     * @param {number} keyId
+     */
+    async removeSignedPreKey(keyId) {
+        await this.batch().removeSignedPreKey(keyId).commit();
     }
-    if (!(publicKey instanceof Buffer)) {
-        throw new TypeError("publicKey must be Buffer");
+
+    /**
+     * List the signed prekeys of the current user, oldest first.
+     *
+     * @returns {{keyId: number, created: ?number}[]} `created` is null for keys
+     *          stored before creation times were recorded.
+     */
+    async getSignedPreKeys() {
+        const keys = await this.backing.keys(signedPreKeyNS, /\.pub$/);
+        const ids = keys.map(x => Number(x.split('.')[0])).sort((a, b) => a - b);
+        return await Promise.all(ids.map(async keyId => ({
+            keyId,
+            created: await this.get(signedPreKeyNS, keyId + '.created', null)
+        })));
     }
-    const trustedIdentityKey = await exports.loadIdentity(identifier);
-    if (!trustedIdentityKey) {
-        console.warn("WARNING: Implicit trust of peer:", identifier);
-        await exports.saveIdentity(identifier, publicKey);
+
+    /**
+     * Remove signed prekeys that were replaced by a newer one more than `grace`
+     * seconds ago.  The newest signed prekey is always kept, as is any key
+     * whose replacement has no recorded creation time.
+     *
+     * @param {number} [grace=2592000] - Seconds to keep a replaced key so messages
+     *                                   sent to it can still be decrypted (30 days).
+     * @returns {number[]} The ids of the removed keys.
+     */
+    async pruneSignedPreKeys(grace=30 * 86400) {
+        const signedPreKeys = await this.getSignedPreKeys();
+        const cutoff = Date.now() - grace * 1000;
+        const removed = [];
+        const batch = this.batch();
+        for (let i = 0; i < signedPreKeys.length - 1; i++) {
+            // A key is replaced when the next one is created.
+            const replaced = signedPreKeys[i + 1].created;
+            if (replaced && replaced < cutoff) {
+                removed.push(signedPreKeys[i].keyId);
+                batch.removeSignedPreKey(signedPreKeys[i].keyId);
+            }
+        }
+        await batch.commit();
+        return removed;
     }
-    return !trustedIdentityKey || trustedIdentityKey.equals(publicKey);
-};
 
+    /**
+     * Load a signal cipher session for a peer.
+     *
+     * @param {EncodedUserAddress} encodedAddr
+     * @returns {?libsignal.SessionRecord}
+     */
+    async loadSession(encodedAddr) {
+        if (encodedAddr === null || encodedAddr === undefined) {
+            throw new Error("Tried to get session for undefined/null addr");
+        }
+        const data = await this.get(sessionNS, encodedAddr);
+        if (data !== undefined) {
+            return libsignal.SessionRecord.deserialize(data);
+        }
+    }
 
-/**
- * Load our last known identity key for a peer.
- *
- * @param {string} identifier - Address of peer
- * @returns {?Buffer} Public identity key for peer
- */
-exports.loadIdentity = async function(identifier) {
-    if (!identifier) {
-        throw new Error("Tried to get identity key for undefined/null key");
+    /**
+     * Store a signal cipher session for a peer.  The time is recorded
+     * alongside it as the session's last use; libsignal only tracks use when
+     * decrypting, and sessions we only send with would otherwise look idle to
+     * {@link pruneSessions}.  The record itself is stored untouched because
+     * libsignal picks sessions by its own use times.
+     *
+     * @param {EncodedUserAddress} encodedAddr
+     * @returns {libsignal.SessionRecord} record
+     */
+    async storeSession(encodedAddr, record) {
+        if (encodedAddr === null || encodedAddr === undefined) {
+            throw new Error("Tried to set session for undefined/null addr");
+        }
+        await this.batch()
+            .set(sessionNS, encodedAddr, record.serialize())
+            .set(sessionUsedNS, encodedAddr, Date.now())
+            .commit();
     }
-    const addr = util.unencodeAddr(identifier)[0];
-    return await exports.get(identityKeyNS, addr);
-};
 
+    /**
+     * Remove a signal session cipher record for a peer.
+     *
+     * @param {EncodedUserAddress} encodedAddr
+     */
+    async removeSession(encodedAddr) {
+        await this.batch()
+            .remove(sessionNS, encodedAddr)
+            .remove(sessionUsedNS, encodedAddr)
+            .commit();
+    }
 
-/**
- * Store a new trusted public identity key for a peer.
- *
- * @param {string} identifier - Address of peer
- * @param {Buffer} publicKey - Public identity key for peer
- */
-exports.saveIdentity = async function(identifier, publicKey) {
-    if (!identifier) {
-        throw new TypeError("`identifier` required");
+    /**
+     * Remove all signal session cipher records for a peer.
+     *
+     * @param {string} addr - UUID of peer.
+     */
+    async removeAllSessions(addr) {
+        if (addr === null || addr === undefined) {
+            throw new Error("Tried to remove sessions for undefined/null addr");
+        }
+        await (await this.batch().removeAllSessions(addr)).commit();
     }
-    if (!(publicKey instanceof Buffer)) {
-        throw new TypeError("publicKey must be Buffer");
+
+    /**
+     * Clear all signal session cipher records.
+     */
+    async clearSessionStore() {
+        await (await this.batch().removeAllSessions()).commit();
     }
-    const addr = util.unencodeAddr(identifier)[0];
-    const oldPublicKey = await this.loadIdentity(addr);
-    if (oldPublicKey && !oldPublicKey.equals(publicKey)) {
-        console.warn("Changing trusted identity key for:", addr);
-        await exports.removeAllSessions(addr);
+
+    /**
+     * Set the policy used by {@link isTrustedIdentity} for peers we have no
+     * identity key for and by {@link module:eventing~KeyChangeEvent#autoAccept}
+     * for changed keys.
+     *
+     * @param {(module:storage/trust~TrustPolicy|string)} policy - Instance or
+     *        one of `strict`, `tofu` or `always`.
+     */
+    setTrustPolicy(policy) {
+        this.trustPolicy = exports.trust.createPolicy(policy);
     }
-    await exports.set(identityKeyNS, addr, publicKey);
-};
 
+    /**
+     * Determine if a peer's public identity key matches our records.  The
+     * {@link module:storage/trust~TrustPolicy} decides on peers we have no key
+     * for yet.
+     *
+     * @param {string} identifier - Address of peer
+     * @param {Buffer} publicKey - Public key to test.
+     * @returns {boolean}
+     */
+    async isTrustedIdentity(identifier, publicKey) {
+        if (!identifier) {
+            throw new TypeError("`identifier` required");
+        }
+        if (!(publicKey instanceof Buffer)) {
+            throw new TypeError("publicKey must be Buffer");
+        }
+        const trustedIdentityKey = await this.loadIdentity(identifier);
+        if (!trustedIdentityKey) {
+            const addr = util.unencodeAddr(identifier)[0];
+            if (!await this.trustPolicy.trustNewIdentity(addr, publicKey)) {
+                return false;
+            }
+            await this.saveIdentity(addr, publicKey, {acceptance: 'implicit'});
+            return true;
+        }
+        return trustedIdentityKey.equals(publicKey);
+    }
 
-/**
- * Remove the current trusted public identity key for a peer.
- *
- * @params {string} identifier - Address of peer
- */
-exports.removeIdentity = async function(identifier) {
-    const addr = util.unencodeAddr(identifier)[0];
-    await _backing.remove(identityKeyNS, addr);
-    await exports.removeAllSessions(addr);
-};
+    /**
+     * Load our last known identity key for a peer.
+     *
+     * @param {string} identifier - Address of peer
+     * @returns {?Buffer} Public identity key for peer
+     */
+    async loadIdentity(identifier) {
+        if (!identifier) {
+            throw new Error("Tried to get identity key for undefined/null key");
+        }
+        const addr = util.unencodeAddr(identifier)[0];
+        return await this.get(identityKeyNS, addr);
+    }
 
+    /**
+     * Store a new trusted public identity key for a peer.  A changed key
+     * resets the peer's sessions and verified state and is recorded in the
+     * peer's {@link getIdentityHistory}.
+     *
+     * @param {string} identifier - Address of peer
+     * @param {Buffer} publicKey - Public identity key for peer
+     * @param {Object} [options]
+     * @param {string} [options.acceptance=manual] - How the key was accepted, for
+     *                                               the history.  See {@link IdentityHistoryEntry}.
+     */
+    async saveIdentity(identifier, publicKey, options) {
+        if (!identifier) {
+            throw new TypeError("`identifier` required");
+        }
+        if (!(publicKey instanceof Buffer)) {
+            throw new TypeError("publicKey must be Buffer");
+        }
+        const addr = util.unencodeAddr(identifier)[0];
+        const oldPublicKey = await this.loadIdentity(addr);
+        const batch = this.batch();
+        if (oldPublicKey && !oldPublicKey.equals(publicKey)) {
+            console.warn("Changing trusted identity key for:", addr);
+            await batch.removeAllSessions(addr);
+            batch.remove(verifiedNS, addr);
+        }
+        if (!oldPublicKey || !oldPublicKey.equals(publicKey)) {
+            // Unique within the process so the history sorts reliably.
+            lastHistoryTimestamp = Math.max(Date.now(), lastHistoryTimestamp + 1);
+            batch.set(identityHistoryNS, `${addr}.${uuid4()}`, {
+                addr,
+                timestamp: lastHistoryTimestamp,
+                oldFingerprint: oldPublicKey ? keyFingerprint(oldPublicKey) : null,
+                newFingerprint: keyFingerprint(publicKey),
+                acceptance: (options && options.acceptance) || 'manual'
+            });
+        }
+        await batch.putIdentity(addr, publicKey).commit();
+    }
 
-/**
- * Get the current known list of device IDs for a peer.
- *
- * @params {string} addr - Address of peer
- * @returns {number[]}
- */
-exports.getDeviceIds = async function(addr) {
-    if (addr === null || addr === undefined) {
-        throw new Error("Tried to get device ids for undefined/null addr");
+    /**
+     * Get the record of identity keys trusted for a peer, oldest first.  The
+     * history is kept even when the identity is removed.
+     *
+     * @param {string} [addr] - Address of peer.  Every peer when omitted.
+     * @returns {IdentityHistoryEntry[]}
+     */
+    async getIdentityHistory(addr) {
+        const re = addr ? new RegExp('^' + addr + '\\.') : undefined;
+        const entries = [];
+        for (const key of await this.keys(identityHistoryNS, re)) {
+            const entry = await this.get(identityHistoryNS, key);
+            if (entry) {
+                entries.push(entry);
+            }
+        }
+        return entries.sort((a, b) => a.timestamp - b.timestamp);
     }
-    const idents = await _backing.keys(sessionNS, new RegExp(addr + '\\..*'));
-    return Array.from(idents).map(x => Number(x.split('.')[1]));
-};
 
+    /**
+     * Remove the current trusted public identity key for a peer.
+     *
+     * @params {string} identifier - Address of peer
+     */
+    async removeIdentity(identifier) {
+        const addr = util.unencodeAddr(identifier)[0];
+        const batch = this.batch().removeIdentity(addr);
+        await (await batch.removeAllSessions(addr)).commit();
+    }
 
-/**
- * Indicates if an address is considered to be "blocked".  Generally this means
- * message handling will be aborted for this address.
- *
- * @param {string} addr - Address of peer.
- * @returns {boolean}
- */
-exports.isBlocked = async function(addr) {
-    return await _backing.has(blockedNS, addr);
-};
+    /**
+     * Indicates if a peer's current identity key has been verified, e.g. by
+     * comparing safety numbers in person.  A peer becomes unverified when
+     * their identity key changes.
+     *
+     * @param {string} addr - Address of peer.
+     * @returns {boolean}
+     */
+    async isVerified(addr) {
+        const verified = await this.get(verifiedNS, addr);
+        if (!verified) {
+            return false;
+        }
+        const identityKey = await this.loadIdentity(addr);
+        return !!identityKey && identityKey.toString('base64') === verified.identityKey;
+    }
 
+    /**
+     * Mark a peer's current identity key as verified or unverified.
+     *
+     * @param {string} addr - Address of peer.
+     * @param {boolean} [verified=true]
+     * @param {Buffer} [publicKey] - The key that was verified.  If it is no
+     *                               longer the trusted key an error is thrown.
+     */
+    async setVerified(addr, verified=true, publicKey) {
+        if (!verified) {
+            await this.remove(verifiedNS, addr);
+            return;
+        }
+        const identityKey = await this.loadIdentity(addr);
+        if (!identityKey) {
+            throw new ReferenceError("No identity key for: " + addr);
+        }
+        if (publicKey && !identityKey.equals(publicKey)) {
+            throw new Error("Identity key changed for: " + addr);
+        }
+        await this.set(verifiedNS, addr, {
+            identityKey: identityKey.toString('base64'),
+            timestamp: Date.now()
+        });
+    }
 
-function getBackingClass(name) {
-    return {
-        redis: exports.backing.RedisBacking,
-        postgres: exports.backing.PostgresBacking,
-        fs: exports.backing.FSBacking
-    }[name];
-}
+    /**
+     * Get the current known list of device IDs for a peer.
+     *
+     * @params {string} addr - Address of peer
+     * @returns {number[]}
+     */
+    async getDeviceIds(addr) {
+        if (addr === null || addr === undefined) {
+            throw new Error("Tried to get device ids for undefined/null addr");
+        }
+        const idents = await this.backing.keys(sessionNS, new RegExp('^' + addr + '\\.'));
+        return Array.from(idents).map(x => Number(x.split('.')[1]));
+    }
 
-/**
- * Set the default {@link module:storage/backing~StorageInterface} to use for
- * further storage operations.
- *
- * @param {(module:storage/backing~StorageInterface|string)} Backing - Class or string label.
- */
-exports.setBacking = function(Backing) {
-    if (typeof Backing === 'string') {
-        Backing = getBackingClass(Backing);
+    /**
+     * Describe the stored sessions.
+     *
+     * @param {string} [addr] - Address of peer.  Every peer when omitted.
+     * @returns {SessionInfo[]}
+     */
+    async getSessions(addr) {
+        const re = addr ? new RegExp('^' + addr + '\\.') : undefined;
+        const infos = [];
+        for (const encodedAddr of await this.backing.keys(sessionNS, re)) {
+            const info = await this._loadSessionInfo(encodedAddr);
+            if (info) {
+                infos.push(info);
+            }
+        }
+        return infos;
     }
-    if (!Backing) {
-        throw new TypeError("Invalid storage backing: " + Backing);
+
+    async _loadSessionInfo(encodedAddr) {
+        const record = await this.loadSession(encodedAddr);
+        if (!record) {
+            return;
+        }
+        const [addr, deviceId] = util.unencodeAddr(encodedAddr);
+        const sessions = Object.values(record.sessions);
+        const open = sessions.filter(x => !record.isClosed(x)).length;
+        const created = sessions.map(x => x.indexInfo.created).filter(x => x);
+        const used = sessions.map(x => x.indexInfo.used || x.indexInfo.created).filter(x => x);
+        const stored = await this.get(sessionUsedNS, encodedAddr);
+        if (stored) {
+            used.push(stored);
+        }
+        return {
+            encodedAddr,
+            addr,
+            deviceId,
+            open: !!open,
+            created: created.length ? Math.max(...created) : null,
+            lastUsed: used.length ? Math.max(...used) : null,
+            archived: sessions.length - open
+        };
+    }
+
+    /**
+     * Remove sessions for devices that are gone or have gone quiet.  Each
+     * peer's sessions are pruned while holding its session lock.
+     *
+     * @param {Object} options
+     * @param {number} [options.maxIdle] - Remove sessions not used in this many seconds.
+     * @param {EncodedUserAddress[]} [options.devices] - Remove the sessions for these
+     *        devices, e.g. the `extraDevices` from a 409 response.
+     * @param {boolean} [options.dryRun=false] - Report the sessions without removing them.
+     * @returns {SessionInfo[]} The sessions that were (or would be) removed.
+     */
+    async pruneSessions(options) {
+        options = options || {};
+        if (!options.maxIdle && !options.devices) {
+            throw new TypeError("`maxIdle` or `devices` required");
+        }
+        const devices = new Set(options.devices);
+        const isStale = info => devices.has(info.encodedAddr) || !!(options.maxIdle &&
+            (info.lastUsed || 0) < Date.now() - options.maxIdle * 1000);
+        const candidates = options.maxIdle ? await this.getSessions() :
+            (await Promise.all(Array.from(devices).map(x => this._loadSessionInfo(x)))).filter(x => x);
+        const peers = new Set(candidates.filter(isStale).map(x => x.addr));
+        const pruned = [];
+        for (const addr of peers) {
+            await this.withLock('session:' + addr, async () => {
+                const batch = this.batch();
+                for (const info of (await this.getSessions(addr)).filter(isStale)) {
+                    pruned.push(info);
+                    batch.remove(sessionNS, info.encodedAddr);
+                    batch.remove(sessionUsedNS, info.encodedAddr);
+                }
+                if (!options.dryRun) {
+                    await batch.commit();
+                }
+            });
+        }
+        return pruned;
+    }
+
+    /**
+     * Indicates if an address is considered to be "blocked".  Generally this means
+     * message handling will be aborted for this address.
+     *
+     * @param {string} addr - Address of peer.
+     * @returns {boolean}
+     */
+    async isBlocked(addr) {
+        return await this.backing.has(blockedNS, addr);
+    }
+
+    /**
+     * Add an address to the block list.  This only changes local storage; Use
+     * {@link MessageSender#block} to also tell our other devices.
+     *
+     * @param {string} addr - Address of peer.
+     * @returns {boolean} True if the address was not already blocked.
+     */
+    async block(addr) {
+        if (await this.isBlocked(addr)) {
+            return false;
+        }
+        await this.set(blockedNS, addr, Date.now());
+        return true;
+    }
+
+    /**
+     * Remove an address from the block list.  This only changes local storage;
+     * Use {@link MessageSender#unblock} to also tell our other devices.
+     *
+     * @param {string} addr - Address of peer.
+     * @returns {boolean} True if the address was blocked.
+     */
+    async unblock(addr) {
+        if (!await this.isBlocked(addr)) {
+            return false;
+        }
+        await this.remove(blockedNS, addr);
+        return true;
+    }
+
+    /**
+     * @returns {string[]} Every blocked address.
+     */
+    async getBlocked() {
+        return await this.keys(blockedNS);
+    }
+
+    /**
+     * Replace the entire block list, e.g. with one synced from another device.
+     *
+     * @param {string[]} addrs
+     * @returns {{added: string[], removed: string[]}} The changes made.
+     */
+    async setBlocked(addrs) {
+        const wanted = new Set(addrs);
+        const current = new Set(await this.getBlocked());
+        const added = Array.from(wanted).filter(x => !current.has(x));
+        const removed = Array.from(current).filter(x => !wanted.has(x));
+        const batch = this.batch();
+        const now = Date.now();
+        for (const x of added) {
+            batch.set(blockedNS, x, now);
+        }
+        for (const x of removed) {
+            batch.remove(blockedNS, x);
+        }
+        await batch.commit();
+        return {added, removed};
+    }
+
+    /**
+     * Bundle the current account (registration state, identity keys, sessions
+     * and prekeys) into a single passphrase encrypted archive.
+     *
+     * @param {string} passphrase
+     * @returns {Buffer} Encrypted archive suitable for {@link importAccount}.
+     */
+    async exportAccount(passphrase) {
+        const addr = await this.getState('addr');
+        if (!addr) {
+            throw new ReferenceError("No account to export");
+        }
+        const data = {};
+        for (const ns of accountNamespaces) {
+            data[ns] = {};
+            for (const key of await this.backing.keys(ns)) {
+                data[ns][key] = (await this.backing.get(ns, key)).toString();
+            }
+        }
+        return await archive.seal({
+            version: 1,
+            created: Date.now(),
+            addr,
+            deviceId: await this.getState('deviceId'),
+            data
+        }, passphrase);
+    }
+
+    /**
+     * Restore an account archive created by {@link exportAccount} into the current
+     * {@link module:storage/backing~StorageInterface}.  Existing data in the account
+     * namespaces is replaced.  If the store already holds an account it must be
+     * the same `addr` and `deviceId` as the archive unless `force` is used.
+     *
+     * @param {Buffer} data - Encrypted archive.
+     * @param {string} passphrase
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Overwrite a different existing account.
+     * @returns {{addr: string, deviceId: number}} The restored account.
+     */
+    async importAccount(data, passphrase, options) {
+        options = options || {};
+        const bundle = await archive.open(data, passphrase);
+        if (bundle.version !== 1 || !bundle.data) {
+            throw new TypeError("Unsupported account archive");
+        }
+        const ourAddr = await this.getState('addr');
+        const ourDeviceId = await this.getState('deviceId');
+        if (!options.force && ourAddr !== undefined &&
+            (ourAddr !== bundle.addr || ourDeviceId !== bundle.deviceId)) {
+            throw new Error(`Refusing to replace account ${ourAddr}.${ourDeviceId} with ` +
+                            `${bundle.addr}.${bundle.deviceId}`);
+        }
+        const ops = [];
+        for (const ns of accountNamespaces) {
+            const entries = bundle.data[ns] || {};
+            for (const key of await this.backing.keys(ns)) {
+                if (!entries.hasOwnProperty(key)) {
+                    ops.push({op: 'remove', ns, key});
+                }
+            }
+            for (const [key, value] of Object.entries(entries)) {
+                ops.push({op: 'set', ns, key, value});
+            }
+        }
+        const batch = this.batch();
+        batch.ops = ops;  // Values in the bundle are already encoded.
+        await batch.commit();
+        return {
+            addr: bundle.addr,
+            deviceId: bundle.deviceId
+        };
+    }
+
+    /**
+     * Set the {@link module:storage/backing~StorageInterface} to use for
+     * further storage operations.
+     *
+     * @param {(module:storage/backing~StorageInterface|string)} Backing - Class or string label.
+     * @param {BackingOptions} [options]
+     */
+    setBacking(Backing, options) {
+        if (typeof Backing === 'string') {
+            Backing = getBackingClass(Backing);
+        }
+        if (!Backing) {
+            throw new TypeError("Invalid storage backing: " + Backing);
+        }
+        this.Backing = Backing;
+        this.backingOptions = options;
+        this.backing = exports.createBacking(Backing, this.label, options);
+        this._setLockProvider();
     }
-    _Backing = Backing;
-    _backing = new Backing(_label);
-};
+
+    _setLockProvider() {
+        const locks = this.backingOptions && this.backingOptions.locks;
+        if (locks instanceof exports.locks.LockProvider) {
+            this.lockProvider = locks;
+        } else if (locks) {
+            this.lockProvider = this.backing.createLockProvider(locks === true ? undefined : locks);
+        } else {
+            this.lockProvider = undefined;
+        }
+    }
+
+    /**
+     * Run a function while holding a named lock.  When the backing options
+     * enable `locks` this excludes every process sharing the label, otherwise
+     * `func` is simply called.  Callers are still responsible for serializing
+     * work within their own process.
+     *
+     * @param {string} name
+     * @param {Function} func - Async function to run.
+     * @returns {*} The return value of `func`.
+     */
+    async withLock(name, func) {
+        if (!this.lockProvider) {
+            return await func();
+        }
+        return await this.lockProvider.withLock(name, async () => {
+            this._invalidateLocked(name);
+            return await func();
+        });
+    }
+
+    /**
+     * Another process may have changed what a lock protects while we waited
+     * for it, so drop any cached copies before running the locked work.
+     */
+    _invalidateLocked(name) {
+        if (typeof this.backing.invalidate !== 'function') {
+            return;
+        }
+        if (name.startsWith('session:')) {
+            const addr = name.substr('session:'.length);
+            this.backing.invalidate(sessionNS, new RegExp('^' + addr + '\\.'));
+            this.backing.invalidate(sessionUsedNS, new RegExp('^' + addr + '\\.'));
+            this.backing.invalidate(identityKeyNS, addr);
+        } else {
+            this.backing.invalidate();
+        }
+    }
+
+    /**
+     * Get the active {@link module:storage/backing~StorageInterface} instance.
+     * Values held by the backing are in their encoded (serialized) form.
+     *
+     * @returns {module:storage/backing~StorageInterface}
+     */
+    getBacking() {
+        return this.backing;
+    }
+
+    /**
+     * Set the label to use within the current
+     * {@link module:storage/backing~StorageInterface}.  This is an ideal way of
+     * partitioning a single store for multiple users.  E.g sharing the
+     * same database instance for more than one librelay based application.
+     *
+     * @param {string} label
+     */
+    setLabel(label) {
+        this.label = label;
+        this.backing = exports.createBacking(this.Backing, label, this.backingOptions);
+        this._setLockProvider();
+    }
+}
+exports.Storage = Storage;
 
 
 /**
- * Set the label to use within the current
- * {@link module:storage/backing~StorageInterface}.  This is an ideal way of
- * partitioning a single store for multiple users.  E.g sharing the
- * same database instance for more than one librelay based application.
+ * The default {@link module:storage~Storage} instance used by the functions
+ * of this module and by the library when no storage is given.
  *
- * @param {string} label
+ * @type {module:storage~Storage}
  */
-exports.setLabel = function(label) {
-    _label = label;
-    _backing = new _Backing(label);
-};
+exports.defaultStorage = new Storage();
 
-
-exports.setBacking(defaultBacking);
+for (const proto of [eventing.EventTarget.prototype, Storage.prototype]) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+        if (name !== 'constructor') {
+            exports[name] = proto[name].bind(exports.defaultStorage);
+        }
+    }
+}
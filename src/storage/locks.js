@@ -0,0 +1,222 @@
+// vim: ts=4:sw=4:expandtab
+
+/**
+ * Locks shared by every process using the same storage label.  Several
+ * workers can run against one Redis or Postgres label as long as they hold
+ * the lock for a peer while mutating its sessions.
+ *
+ * @module storage/locks
+ */
+
+const crypto = require('crypto');
+const util = require('../util');
+
+const redisReleaseScript = `
+    if redis.call('get', KEYS[1]) == ARGV[1] then
+        return redis.call('del', KEYS[1])
+    else
+        return 0
+    end`;
+
+const redisExtendScript = `
+    if redis.call('get', KEYS[1]) == ARGV[1] then
+        return redis.call('pexpire', KEYS[1], ARGV[2])
+    else
+        return 0
+    end`;
+
+
+/**
+ * @typedef {Object} LockOptions
+ * @property {number} [timeout=60] - Seconds to wait for a lock before giving up.
+ * @property {number} [ttl=30] - Seconds a lock outlives a crashed holder (Redis only).
+ *                               Held locks are refreshed before they expire.
+ * @property {number} [maxHeld] - Most locks held at once by this process (Postgres
+ *                                only).  Defaults to half the pool size.
+ */
+
+/**
+ * Base class for lock providers.  Subclasses implement {@link acquire}.
+ */
+class LockProvider {
+
+    /**
+     * @param {LockOptions} [options]
+     */
+    constructor(options) {
+        options = options || {};
+        this.timeout = options.timeout === undefined ? 60 : options.timeout;
+        this.ttl = options.ttl === undefined ? 30 : options.ttl;
+    }
+
+    /**
+     * Wait for the named lock.
+     *
+     * @abstract
+     * @param {string} name
+     * @returns {Function} Async function that releases the lock.
+     */
+    async acquire(name) {
+        throw new Error("Not Implemented");
+    }
+
+    /**
+     * Run `func` while holding the named lock.
+     *
+     * @param {string} name
+     * @param {Function} func - Async function to run.
+     * @returns {*} The return value of `func`.
+     */
+    async withLock(name, func) {
+        const release = await this.acquire(name);
+        try {
+            return await func();
+        } finally {
+            try {
+                await release();
+            } catch(e) {
+                console.warn(`Failed to release lock "${name}":`, e);
+            }
+        }
+    }
+
+    async _poll(name, attempt, deadline) {
+        if (deadline === undefined) {
+            deadline = Date.now() + this.timeout * 1000;
+        }
+        let delay = 0.025;
+        while (!(await attempt())) {
+            if (Date.now() >= deadline) {
+                throw new Error(`Timeout acquiring lock: ${name}`);
+            }
+            await util.sleep(delay);
+            delay = Math.min(delay * 2, 0.5);
+        }
+    }
+}
+
+
+/**
+ * Locks held in Redis with `SET NX PX`.  The key expires if the holder dies.
+ */
+class RedisLockProvider extends LockProvider {
+
+    /**
+     * @param {module:storage/backing~RedisBacking} backing - Must be initialized before use.
+     * @param {LockOptions} [options]
+     */
+    constructor(backing, options) {
+        super(options);
+        this.backing = backing;
+    }
+
+    async acquire(name) {
+        const client = this.backing.client;
+        const key = this.backing.lockPrefix + name;
+        const token = crypto.randomBytes(16).toString('hex');
+        const ttl = Math.round(this.ttl * 1000);
+        await this._poll(name, async () => await client.set(key, token, 'PX', ttl, 'NX') === 'OK');
+        const refresh = setInterval(() => {
+            client.eval(redisExtendScript, 1, key, token, ttl).catch(e =>
+                console.warn(`Failed to refresh lock "${name}":`, e));
+        }, ttl / 3);
+        return async () => {
+            clearInterval(refresh);
+            await client.eval(redisReleaseScript, 1, key, token);
+        };
+    }
+}
+
+
+/**
+ * Postgres session level advisory locks.  Each held lock keeps a connection
+ * checked out of the pool until it is released, and the work done under the
+ * lock needs connections of its own.  The number of locks held at once is
+ * therefore limited (see `maxHeld`) so the pool is never exhausted by lock
+ * holders waiting on each other.  Locks are dropped by the server if the
+ * connection is lost.
+ */
+class PostgresLockProvider extends LockProvider {
+
+    /**
+     * @param {module:storage/backing~PostgresBacking} backing - Must be initialized before use.
+     * @param {LockOptions} [options]
+     */
+    constructor(backing, options) {
+        super(options);
+        this.backing = backing;
+        const poolSize = backing.poolConfig.max || 10;
+        this.maxHeld = (options && options.maxHeld) || Math.max(1, Math.floor(poolSize / 2));
+        if (this.maxHeld >= poolSize) {
+            throw new TypeError(`maxHeld (${this.maxHeld}) must be less than the pool size (${poolSize})`);
+        }
+        this._held = 0;
+        this._waiters = [];
+    }
+
+    async _reserve(name, deadline) {
+        if (this._held < this.maxHeld) {
+            this._held++;
+            return;
+        }
+        await new Promise((resolve, reject) => {
+            const waiter = {resolve};
+            waiter.timer = setTimeout(() => {
+                this._waiters.splice(this._waiters.indexOf(waiter), 1);
+                reject(new Error(`Timeout acquiring lock: ${name}`));
+            }, Math.max(0, deadline - Date.now()));
+            this._waiters.push(waiter);
+        });
+    }
+
+    _unreserve() {
+        const next = this._waiters.shift();
+        if (next) {
+            clearTimeout(next.timer);
+            next.resolve();  // The slot passes straight to the next waiter.
+        } else {
+            this._held--;
+        }
+    }
+
+    async acquire(name) {
+        const key = this.backing.tableName + ':' + name;
+        const deadline = Date.now() + this.timeout * 1000;
+        await this._reserve(name, deadline);
+        let client;
+        try {
+            client = await this.backing.pool.connect();
+        } catch(e) {
+            this._unreserve();
+            throw e;
+        }
+        try {
+            await this._poll(name, async () => {
+                const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [key]);
+                return result.rows[0].locked;
+            }, deadline);
+        } catch(e) {
+            client.release();
+            this._unreserve();
+            throw e;
+        }
+        return async () => {
+            try {
+                await client.query('SELECT pg_advisory_unlock(hashtext($1))', [key]);
+            } catch(e) {
+                client.release(e);  // Closing the connection frees the lock too.
+                throw e;
+            } finally {
+                this._unreserve();
+            }
+            client.release();
+        };
+    }
+}
+
+
+module.exports = {
+    LockProvider,
+    RedisLockProvider,
+    PostgresLockProvider
+};
@@ -0,0 +1,143 @@
+// vim: ts=4:sw=4:expandtab
+
+/**
+ * Ordered registry of storage schema migrations.  The schema version is
+ * recorded per label and any migrations newer than it are applied, in order,
+ * by {@link module:storage.initialize}.
+ *
+ * @module storage/migrations
+ */
+
+const schemaNS = '_schema';
+const versionKey = 'version';
+
+const _migrations = [];
+
+
+/**
+ * @callback module:storage/migrations~migrateCallback
+ * @param {module:storage} storage - The storage module to operate on.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version this migration upgrades to.
+ * @property {string} description
+ * @property {module:storage/migrations~migrateCallback} migrate
+ */
+
+/**
+ * Add a migration step.  Versions must be registered in ascending order.
+ *
+ * @param {number} version - Schema version this step upgrades to.
+ * @param {string} description - Human readable summary for reporting.
+ * @param {module:storage/migrations~migrateCallback} migrate
+ */
+function register(version, description, migrate) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new TypeError("Invalid migration version: " + version);
+    }
+    const latest = _migrations.length ? _migrations[_migrations.length - 1].version : 0;
+    if (version <= latest) {
+        throw new Error(`Migration version ${version} must be greater than ${latest}`);
+    }
+    if (typeof migrate !== 'function') {
+        throw new TypeError("migrate function required");
+    }
+    _migrations.push({version, description, migrate});
+}
+
+
+/**
+ * @returns {Migration[]} All registered migrations in order.
+ */
+function all() {
+    return Array.from(_migrations);
+}
+
+
+/**
+ * @returns {number} The newest schema version known to this library.
+ */
+function latestVersion() {
+    return _migrations.length ? _migrations[_migrations.length - 1].version : 0;
+}
+
+
+/**
+ * Get the schema version recorded for the current label.  Stores that
+ * predate versioning are reported as version 0.
+ *
+ * @param {module:storage} storage
+ * @returns {number}
+ */
+async function getVersion(storage) {
+    return await storage.get(schemaNS, versionKey, 0);
+}
+
+
+/**
+ * Determine which migrations have not yet been applied.
+ *
+ * @param {module:storage} storage
+ * @returns {Migration[]}
+ */
+async function pending(storage) {
+    const version = await getVersion(storage);
+    if (version > latestVersion()) {
+        throw new Error(`Storage schema version ${version} is newer than this ` +
+                        `library supports (${latestVersion()})`);
+    }
+    return _migrations.filter(x => x.version > version);
+}
+
+
+/**
+ * Apply pending migrations in order.  The recorded version is updated after
+ * each step so an interrupted run resumes where it stopped.
+ *
+ * @param {module:storage} storage
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would be applied.
+ * @returns {Migration[]} The migrations that were (or would be) applied.
+ */
+async function run(storage, options) {
+    options = options || {};
+    const todo = await pending(storage);
+    if (options.dryRun) {
+        return todo;
+    }
+    for (const x of todo) {
+        console.info(`Applying storage migration ${x.version}: ${x.description}`);
+        await x.migrate(storage);
+        await storage.set(schemaNS, versionKey, x.version);
+    }
+    return todo;
+}
+
+
+register(1, "Record storage schema version", async () => {
+    /* Baseline: Stores created before versioning already match this schema. */
+});
+
+register(2, "Escape legacy fs backing file names", async storage => {
+    /* Only the fs backing has file names; Find it under any wrappers. */
+    let backing = storage.getBacking();
+    while (backing && typeof backing.escapeLegacyNames !== 'function') {
+        backing = backing.backing;
+    }
+    if (backing) {
+        await backing.escapeLegacyNames();
+    }
+});
+
+
+module.exports = {
+    schemaNS,
+    register,
+    all,
+    latestVersion,
+    getVersion,
+    pending,
+    run
+};
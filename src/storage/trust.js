@@ -0,0 +1,142 @@
+// vim: ts=4:sw=4:expandtab
+
+/**
+ * Policies deciding which peer identity keys a {@link module:storage~Storage}
+ * trusts without the approval of a
+ * {@link module:eventing~KeyChangeEvent} listener.
+ *
+ * @module storage/trust
+ */
+
+
+/**
+ * @typedef {Object} TrustAuditEntry
+ * @property {string} addr - Address of peer.
+ * @property {Buffer} identityKey - The key that was trusted.
+ * @property {Buffer} [previousKey] - The key it replaced, if any.
+ * @property {number} timestamp
+ */
+
+/**
+ * Base class for trust policies.  Subclasses implement
+ * {@link trustNewIdentity} and optionally {@link acceptKeyChange}.
+ */
+class TrustPolicy {
+
+    /**
+     * Decide if the first identity key seen for a peer is trusted.  Trusted
+     * keys are saved; Otherwise the key must be approved with
+     * {@link module:eventing~KeyChangeEvent#accept}.
+     *
+     * @abstract
+     * @param {string} addr - Address of peer.
+     * @param {Buffer} publicKey
+     * @returns {boolean}
+     */
+    async trustNewIdentity(addr, publicKey) {
+        throw new Error("Not Implemented");
+    }
+
+    /**
+     * Decide if a peer's new identity key replaces the trusted one without
+     * waiting for a {@link module:eventing~KeyChangeEvent} listener.
+     *
+     * @param {string} addr - Address of peer.
+     * @param {Buffer} publicKey - The new key.
+     * @param {Buffer} previousKey - The currently trusted key.
+     * @returns {boolean}
+     */
+    async acceptKeyChange(addr, publicKey, previousKey) {
+        return false;
+    }
+}
+
+
+/**
+ * Reject every key until it is approved, including the first key of a peer.
+ */
+class StrictTrustPolicy extends TrustPolicy {
+
+    async trustNewIdentity(addr, publicKey) {
+        return false;
+    }
+}
+
+
+/**
+ * Trust on first use.  The first key seen for a peer is trusted and later
+ * changes must be approved.
+ */
+class TOFUTrustPolicy extends TrustPolicy {
+
+    async trustNewIdentity(addr, publicKey) {
+        console.warn("WARNING: Implicit trust of peer:", addr);
+        return true;
+    }
+}
+
+
+/**
+ * Trust every key, including changed keys, for unattended use such as bots.
+ * Each key accepted is reported to the `audit` callback.
+ */
+class AlwaysTrustPolicy extends TrustPolicy {
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.audit] - Called with a {@link TrustAuditEntry}
+     *                                     for every key trusted.  Defaults to
+     *                                     logging a warning.
+     */
+    constructor(options) {
+        super();
+        options = options || {};
+        this.audit = options.audit || (entry => {
+            const action = entry.previousKey ? "Accepted new identity key" : "Implicit trust";
+            console.warn(`WARNING: ${action} of peer:`, entry.addr);
+        });
+    }
+
+    async trustNewIdentity(addr, publicKey) {
+        await this.audit({addr, identityKey: publicKey, timestamp: Date.now()});
+        return true;
+    }
+
+    async acceptKeyChange(addr, publicKey, previousKey) {
+        await this.audit({addr, identityKey: publicKey, previousKey, timestamp: Date.now()});
+        return true;
+    }
+}
+
+
+const policies = {
+    strict: StrictTrustPolicy,
+    tofu: TOFUTrustPolicy,
+    always: AlwaysTrustPolicy
+};
+
+
+/**
+ * @param {(TrustPolicy|string)} policy - Instance or one of `strict`, `tofu` or `always`.
+ * @param {Object} [options] - Constructor options for named policies.
+ * @returns {TrustPolicy}
+ */
+function createPolicy(policy, options) {
+    if (policy instanceof TrustPolicy) {
+        return policy;
+    }
+    const Policy = policies[policy];
+    if (!Policy) {
+        throw new TypeError("Invalid trust policy: " + policy);
+    }
+    return new Policy(options);
+}
+
+
+module.exports = {
+    TrustPolicy,
+    StrictTrustPolicy,
+    TOFUTrustPolicy,
+    AlwaysTrustPolicy,
+    createPolicy
+};
@@ -0,0 +1,67 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const fingerprint = require('../src/fingerprint');
+const storage = require('../src/storage');
+
+// Test vector shared with the Signal apps.
+const aliceAddr = '+14152222222';
+const aliceKey = Buffer.from('0506863bc66d02b40d27b8d49ca7c09e9239236f9d7d25d6fcca5ce13c7064d868', 'hex');
+const bobAddr = '+14153333333';
+const bobKey = Buffer.from('05f781b6fb32fed9ba1cf2de978d4d5da28dc34046ae814402b5c0dbd96fda907b', 'hex');
+const expected = '300354477692869396892869876765458257569162576843440918079131';
+
+
+describe('SafetyNumber', function() {
+
+    const alice = new fingerprint.SafetyNumber(aliceAddr, aliceKey, bobAddr, bobKey);
+    const bob = new fingerprint.SafetyNumber(bobAddr, bobKey, aliceAddr, aliceKey);
+
+    it('matches the Signal test vector from both sides', () => {
+        assert.strictEqual(alice.displayText, expected);
+        assert.strictEqual(bob.displayText, expected);
+    });
+
+    it('compares displayed and scanned safety numbers', () => {
+        assert.strictEqual(alice.matches(expected.replace(/(\d{5})/g, '$1 ')), true);
+        assert.strictEqual(alice.matches(expected.replace(/^3/, '4')), false);
+        assert.strictEqual(alice.matches(bob.scannable), true);
+        assert.strictEqual(alice.matches(alice.scannable), false);
+        assert.throws(() => alice.matches(123), TypeError);
+    });
+
+    it('requires Buffer keys', () => {
+        assert.throws(() => new fingerprint.SafetyNumber(aliceAddr, 'x', bobAddr, bobKey), TypeError);
+    });
+});
+
+
+describe('verifySafetyNumber', function() {
+
+    let store;
+
+    beforeEach(async () => {
+        store = new storage.Storage({backing: 'memory', label: 'fingerprint'});
+        await store.initialize();
+        await store.putState('addr', aliceAddr);
+        await store.saveOurIdentity({pubKey: aliceKey, privKey: Buffer.alloc(32)});
+        await store.saveIdentity(bobAddr, bobKey);
+    });
+
+    it('marks the peer verified when the numbers match', async () => {
+        assert.strictEqual(await fingerprint.verifySafetyNumber(bobAddr, '1'.repeat(60), {storage: store}),
+                           false);
+        assert.strictEqual(await store.isVerified(bobAddr), false);
+        assert.strictEqual(await fingerprint.verifySafetyNumber(bobAddr, expected, {storage: store}), true);
+        assert.strictEqual(await store.isVerified(bobAddr), true);
+    });
+
+    it('requires keys for both sides', async () => {
+        await assert.rejects(() => fingerprint.getSafetyNumber('unknown', {storage: store}),
+                             /No identity key/);
+        const empty = new storage.Storage({backing: 'memory', label: 'empty'});
+        await empty.initialize();
+        await assert.rejects(() => fingerprint.getSafetyNumber(bobAddr, {storage: empty}),
+                             /not registered/);
+    });
+});
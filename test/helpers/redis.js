@@ -0,0 +1,38 @@
+// vim: ts=4:sw=4:expandtab
+
+/*
+ * Redis backings that talk to an in-process mock server instead of redis.
+ */
+
+const RedisBacking = require('../../src/storage/backing/redis');
+const RedisMock = require('ioredis-mock');
+
+
+/**
+ * @returns {Function} RedisBacking subclass whose instances share one new
+ *                     mock server.
+ */
+function mockServer() {
+    const server = new RedisMock();
+    return class MockRedisBacking extends RedisBacking {
+        _createClient() {
+            const client = server.duplicate();
+            // The mock's HSCAN only returns fields; Redis returns field/value pairs.
+            const hscan = client.hscan.bind(client);
+            client.hscan = async (key, ...args) => {
+                const [cursor, fields] = await hscan(key, ...args);
+                const items = [];
+                for (const x of fields) {
+                    items.push(x, await client.hget(key, x));
+                }
+                return [cursor, items];
+            };
+            return client;
+        }
+    };
+}
+
+
+module.exports = {
+    mockServer
+};
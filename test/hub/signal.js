@@ -0,0 +1,73 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const hub = require('../../src/hub');
+const libsignal = require('libsignal');
+const storage = require('../../src/storage');
+
+
+describe('SignalClient device management', function() {
+
+    let store;
+    let signal;
+    let requests;
+    let devices;
+
+    beforeEach(async () => {
+        store = new storage.Storage({backing: 'memory', label: 'devices'});
+        await store.initialize();
+        await store.putState('addr', 'me');
+        await store.putState('deviceId', 2);
+        await store.putState('registrationId', 1234);
+        await store.putState('signalingKey', Buffer.alloc(52, 1));
+        signal = new hub.SignalClient('user', 'pass', 'http://signal.invalid', {storage: store});
+        requests = [];
+        devices = [{id: 1, name: 'phone', created: 1000, lastSeen: 2000},
+                   {id: '2', name: 'bot', lastSeen: 3000}];
+        signal.request = async params => {
+            requests.push(params);
+            return params.httpType ? undefined : {devices};
+        };
+    });
+
+    it('lists devices with their times and marks this one', async () => {
+        assert.deepStrictEqual(await signal.getDevices(), [
+            {id: 1, name: 'phone', created: 1000, lastSeen: 2000, current: false},
+            {id: 2, name: 'bot', created: null, lastSeen: 3000, current: true}
+        ]);
+        devices = undefined;
+        assert.strictEqual(await signal.getDevices(), undefined);
+    });
+
+    it('renames this device', async () => {
+        await signal.renameDevice('build-bot');
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].httpType, 'PUT');
+        assert.strictEqual(requests[0].urlParameters, '/attributes');
+        assert.deepStrictEqual(requests[0].json, {
+            signalingKey: Buffer.alloc(52, 1).toString('base64'),
+            supportsSms: false,
+            fetchesMessages: true,
+            registrationId: 1234,
+            name: 'build-bot'
+        });
+        assert.strictEqual(await store.getState('name'), 'build-bot');
+        await assert.rejects(() => signal.renameDevice(''), TypeError);
+    });
+
+    it('removes other devices and our sessions with them', async () => {
+        for (const x of ['me.1', 'me.3', 'peer.3']) {
+            await store.set('session', x, new libsignal.SessionRecord().serialize());
+        }
+        await signal.removeDevice('3');
+        assert.deepStrictEqual(requests.map(x => [x.call, x.httpType, x.urlParameters]),
+                               [['devices', 'DELETE', '/3']]);
+        assert.deepStrictEqual((await store.keys('session')).sort(), ['me.1', 'peer.3']);
+    });
+
+    it('refuses to remove this device', async () => {
+        await assert.rejects(() => signal.removeDevice(2), /Cannot remove our own device/);
+        await assert.rejects(() => signal.removeDevice(), TypeError);
+        assert.deepStrictEqual(requests, []);
+    });
+});
@@ -0,0 +1,146 @@
+// vim: ts=4:sw=4:expandtab
+
+const PreKeyMaintainer = require('../src/prekey_maintainer');
+const assert = require('assert');
+const hub = require('../src/hub');
+const libsignal = require('libsignal');
+const storage = require('../src/storage');
+
+
+/* Stands in for SignalClient with a server holding `count` prekeys. */
+class FakeSignal {
+
+    constructor(store, count) {
+        this.storage = store;
+        this.count = count;
+        this.checks = 0;
+        this.uploads = [];
+        this.nextKeyId = 1;
+    }
+
+    async getMyKeys() {
+        this.checks++;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return this.count;
+    }
+
+    async generateKeys(count) {
+        return {count};
+    }
+
+    async registerKeys(keys) {
+        this.uploads.push(keys.count);
+        this.count = keys.count;
+    }
+
+    async rotateSignedPreKey() {
+        const keyId = this.nextKeyId++;
+        await this.storage.storeSignedPreKey(keyId, {pubKey: Buffer.alloc(33), privKey: Buffer.alloc(32)});
+        return keyId;
+    }
+}
+
+
+describe('PreKeyMaintainer', function() {
+
+    let store;
+    let signal;
+    let maintainer;
+    let events;
+    let quiet;
+
+    beforeEach(async () => {
+        store = new storage.Storage({backing: 'memory', label: 'maintainer'});
+        await store.initialize();
+        signal = new FakeSignal(store, 5);
+        maintainer = new PreKeyMaintainer({signal, storage: store, lowWater: 10, fill: 50});
+        events = [];
+        for (const x of ['lowkeys', 'refresh', 'rotate', 'error']) {
+            maintainer.addEventListener(x, ev => events.push(ev));
+        }
+        quiet = {error: console.error, info: console.info};
+        console.error = console.info = () => {};
+    });
+
+    afterEach(() => {
+        maintainer.stop();
+        Object.assign(console, quiet);
+    });
+
+    it('refills the server when it runs low', async () => {
+        await maintainer.start();
+        assert.deepStrictEqual(signal.uploads, [50]);
+        assert.deepStrictEqual(events.filter(x => x.type === 'lowkeys').map(x => [x.count, x.lowWater]),
+                               [[5, 10]]);
+        assert.strictEqual(events.find(x => x.type === 'refresh').count, 50);
+        assert.strictEqual(store.preKeyMaintainer, maintainer);
+        await maintainer.check();
+        assert.deepStrictEqual(signal.uploads, [50]);
+    });
+
+    it('folds checks made during a check into one', async () => {
+        await maintainer.start();
+        signal.checks = 0;
+        signal.count = 3;
+        await Promise.all([1, 2, 3, 4, 5].map(x => store.removePreKey(x)));
+        await maintainer.check();
+        assert.strictEqual(signal.checks, 2);
+        assert.deepStrictEqual(signal.uploads, [50, 50]);
+    });
+
+    it('rotates the signed prekey when it is due', async () => {
+        await maintainer.start();
+        assert.deepStrictEqual(events.filter(x => x.type === 'rotate').map(x => x.keyId), [1]);
+        await maintainer.check();
+        assert.strictEqual(events.filter(x => x.type === 'rotate').length, 1);
+        await store.set('signedprekey', '1.created', Date.now() - 3 * 86400 * 1000);
+        await maintainer.check();
+        assert.deepStrictEqual(events.filter(x => x.type === 'rotate').map(x => [x.keyId, x.pruned]),
+                               [[1, []], [2, []]]);
+        maintainer.rotateInterval = 0;
+        await store.set('signedprekey', '2.created', Date.now() - 3 * 86400 * 1000);
+        await maintainer.check();
+        assert.strictEqual(events.filter(x => x.type === 'rotate').length, 2);
+    });
+
+    it('reports failures as events and keeps going', async () => {
+        signal.getMyKeys = async () => {
+            throw new Error('server down');
+        };
+        await maintainer.start();
+        assert.deepStrictEqual(events.filter(x => x.type === 'error').map(x => x.error.message),
+                               ['server down']);
+        assert.strictEqual(events.filter(x => x.type === 'rotate').length, 1);
+        await assert.rejects(() => maintainer.start(), /Already started/);
+        maintainer.stop();
+        assert.strictEqual(store.preKeyMaintainer, null);
+    });
+});
+
+
+describe('PreKeyMaintainer with SignalClient', function() {
+
+    it('applies its grace period to keys replaced by a refill', async () => {
+        const store = new storage.Storage({backing: 'memory', label: 'refill'});
+        await store.initialize();
+        await store.saveOurIdentity(libsignal.keyhelper.generateIdentityKeyPair());
+        const signal = new hub.SignalClient('user', 'pass', 'http://signal.invalid', {storage: store});
+        signal.request = async params => params.httpType === 'PUT' ? undefined : {count: 0};
+        await store.storeSignedPreKey(1, {pubKey: Buffer.alloc(33), privKey: Buffer.alloc(32)});
+        await store.putState('signedKeyId', 2);
+        const maintainer = new PreKeyMaintainer({signal, storage: store, fill: 5, rotateInterval: 0,
+                                                 grace: 86400});
+        const quiet = console.info;
+        console.info = () => {};
+        try {
+            await maintainer.check();
+            assert.deepStrictEqual((await store.getSignedPreKeys()).map(x => x.keyId), [1, 2]);
+            await store.set('signedprekey', '2.created', Date.now() - 2 * 86400 * 1000);
+            await maintainer.check();
+        } finally {
+            console.info = quiet;
+        }
+        // The default 30 day grace would have kept key 1.
+        assert.deepStrictEqual((await store.getSignedPreKeys()).map(x => x.keyId), [2, 3]);
+    });
+});
@@ -0,0 +1,149 @@
+// vim: ts=4:sw=4:expandtab
+
+const ProvisioningApprover = require('../src/provisioning_approver');
+const ProvisioningCipher = require('../src/provisioning_cipher');
+const assert = require('assert');
+const eventing = require('../src/eventing');
+const hub = require('../src/hub');
+const libsignal = require('libsignal');
+const protobufs = require('../src/protobufs');
+const storage = require('../src/storage');
+
+const key = Buffer.alloc(33, 5).toString('base64');
+
+
+function provisionRequest(uuid, source, timestamp) {
+    const ev = new eventing.Event('message');
+    ev.data = {
+        exchange: {
+            getMessageType: () => 'control',
+            getUserAgent: () => 'test',
+            getDataProperty: k => ({control: 'provisionRequest', uuid, key})[k]
+        },
+        source,
+        sourceDevice: 2,
+        timestamp: timestamp || Date.now()
+    };
+    return ev;
+}
+
+
+describe('ProvisioningApprover', function() {
+
+    let receiver;
+    let signal;
+    let answer;
+    let audits;
+    let approver;
+    let quiet;
+
+    beforeEach(() => {
+        receiver = new eventing.EventTarget();
+        receiver.addr = 'me';
+        signal = {linked: [], linkDevice: async uuid => signal.linked.push(uuid)};
+        answer = async () => true;
+        approver = new ProvisioningApprover({
+            receiver,
+            signal,
+            timeout: 0.05,
+            trustedSources: ['atlas'],
+            onRequest: request => answer(request)
+        });
+        audits = [];
+        approver.addEventListener('audit', ev => audits.push([ev.request.uuid, ev.reason]));
+        approver.start();
+        quiet = {warn: console.warn, error: console.error};
+        console.warn = console.error = () => {};
+    });
+
+    afterEach(() => {
+        approver.stop();
+        Object.assign(console, quiet);
+    });
+
+    async function deliver(uuid, source, timestamp) {
+        await receiver.dispatchEvent(provisionRequest(uuid, source, timestamp));
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    it('links devices approved by the callback', async () => {
+        let asked;
+        answer = async request => (asked = request, true);
+        await deliver('u1', 'me');
+        assert.deepStrictEqual(signal.linked, ['u1']);
+        assert.deepStrictEqual(audits, [['u1', 'approved']]);
+        assert.strictEqual(asked.fingerprint.length, 64);
+        assert.strictEqual(asked.source, 'me');
+    });
+
+    it('only accepts requests from our own address or trusted sources', async () => {
+        await deliver('u1', 'stranger');
+        await deliver('u2', 'atlas');
+        assert.deepStrictEqual(signal.linked, ['u2']);
+        assert.deepStrictEqual(audits, [['u1', 'untrusted'], ['u2', 'approved']]);
+    });
+
+    it('denies, times out and ignores duplicates', async () => {
+        answer = async () => false;
+        await deliver('u1', 'me');
+        await deliver('u1', 'me');
+        answer = () => new Promise(() => {});
+        await deliver('u2', 'me');
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepStrictEqual(audits, [['u1', 'denied'], ['u1', 'duplicate'], ['u2', 'timeout']]);
+        assert.deepStrictEqual(signal.linked, []);
+    });
+
+    it('ignores requests older than maxAge', async () => {
+        await deliver('u1', 'me', Date.now() - 3600 * 1000);
+        await deliver('u2', 'me', Date.now() - 330 * 1000);  // Within the clock skew allowance.
+        assert.deepStrictEqual(audits, [['u1', 'expired'], ['u2', 'approved']]);
+        assert.deepStrictEqual(signal.linked, ['u2']);
+        assert.strictEqual(await approver.handleRequest({uuid: 'u3', key,
+                                                         timestamp: Date.now() - 600 * 1000}), false);
+        assert.deepStrictEqual(audits[2], ['u3', 'expired']);
+    });
+
+    it('remembers requests for as long as they could be accepted', async () => {
+        await deliver('u1', 'me', Date.now() + 3600 * 1000);
+        await deliver('u1', 'me');
+        assert.deepStrictEqual(audits, [['u1', 'approved'], ['u1', 'duplicate']]);
+        assert.ok(approver._seen.get('u1') > Date.now() + 3600 * 1000);
+    });
+
+    it('reports link failures', async () => {
+        const errors = [];
+        approver.addEventListener('error', ev => errors.push(ev.error.message));
+        signal.linkDevice = async () => {
+            throw new Error('server error');
+        };
+        await deliver('u1', 'me');
+        assert.deepStrictEqual(errors, ['server error']);
+        assert.deepStrictEqual(audits, [['u1', 'error']]);
+    });
+});
+
+
+describe('SignalClient.linkDevice', function() {
+
+    it('sends our identity to the new device', async () => {
+        const store = new storage.Storage({backing: 'memory', label: 'link'});
+        await store.initialize();
+        const identity = libsignal.keyhelper.generateIdentityKeyPair();
+        await store.saveOurIdentity(identity);
+        await store.putState('addr', 'me');
+        const signal = new hub.SignalClient('user', 'pass', 'http://signal.invalid', {storage: store});
+        const newDevice = new ProvisioningCipher();
+        let message;
+        signal.request = async () => ({verificationCode: '123456'});
+        signal.fetch = async (url, options) => {
+            const envelope = protobufs.ProvisionEnvelope.decode(Buffer.from(options.json.body, 'base64'));
+            message = newDevice.decrypt(envelope);
+            return {ok: true};
+        };
+        await signal.linkDevice('u1', newDevice.getPublicKey());
+        assert.strictEqual(message.addr, 'me');
+        assert.strictEqual(message.provisioningCode, '123456');
+        assert.ok(message.identityKeyPair.pubKey.equals(identity.pubKey));
+    });
+});
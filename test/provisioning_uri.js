@@ -0,0 +1,49 @@
+// vim: ts=4:sw=4:expandtab
+
+const ProvisioningCipher = require('../src/provisioning_cipher');
+const assert = require('assert');
+const provisioningUri = require('../src/provisioning_uri');
+
+const key = Buffer.alloc(33, 0xfb);  // Encodes to base64 with `+` and `/`.
+
+
+describe('Provisioning links', function() {
+
+    it('round trips a uuid and key', () => {
+        const uri = provisioningUri.encode('abc-123/x', key);
+        assert.ok(uri.startsWith('tsdevice:/?uuid='));
+        assert.deepStrictEqual(provisioningUri.parse(' ' + uri + '\n'),
+                               {uuid: 'abc-123/x', key: key.toString('base64')});
+        assert.strictEqual(provisioningUri.encode('abc-123/x', key.toString('base64')), uri);
+    });
+
+    it('accepts keys with unescaped base64 characters', () => {
+        const b64 = key.toString('base64');
+        assert.strictEqual(provisioningUri.parse(`tsdevice:/?uuid=u&pub_key=${b64}`).key, b64);
+    });
+
+    it('works with the keys registerDevice provides', () => {
+        const cipherKey = new ProvisioningCipher().getPublicKey();
+        const parsed = provisioningUri.parse(provisioningUri.encode('u', cipherKey));
+        assert.ok(Buffer.from(parsed.key, 'base64').equals(cipherKey));
+    });
+
+    it('rejects invalid links', () => {
+        assert.throws(() => provisioningUri.encode('u'), TypeError);
+        for (const bad of ['http://x/?uuid=1&pub_key=AA', 'tsdevice:', 'tsdevice:/?uuid=1',
+                           'tsdevice:/?pub_key=' + key.toString('hex'),
+                           'tsdevice:/?uuid=1&pub_key=AAAA']) {
+            assert.throws(() => provisioningUri.parse(bad), TypeError, bad);
+        }
+    });
+
+    it('renders as text or a QR code', () => {
+        const uri = provisioningUri.encode('u', key);
+        assert.strictEqual(provisioningUri.render(uri, {format: 'text'}), uri);
+        const small = provisioningUri.render(uri).split('\n');
+        const large = provisioningUri.render(uri, {small: false}).split('\n');
+        assert.ok(small.length > 10);
+        assert.ok(large.length > small.length);
+        assert.throws(() => provisioningUri.render(uri, {format: 'png'}), /Invalid format/);
+    });
+});
@@ -0,0 +1,30 @@
+// vim: ts=4:sw=4:expandtab
+
+/*
+ * Keep the fs and sqlite backings out of the real home directory.  This
+ * must run before anything under src is loaded.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const process = require('process');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'librelay-test-'));
+process.env.HOME = home;
+process.env.RELAY_STORAGE_BACKING = 'memory';
+
+
+function removeTree(file) {
+    if (fs.lstatSync(file).isDirectory()) {
+        for (const x of fs.readdirSync(file)) {
+            removeTree(path.join(file, x));
+        }
+        fs.rmdirSync(file);
+    } else {
+        fs.unlinkSync(file);
+    }
+}
+
+
+after(() => removeTree(home));
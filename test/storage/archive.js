@@ -0,0 +1,75 @@
+// vim: ts=4:sw=4:expandtab
+
+const archive = require('../../src/storage/archive');
+const assert = require('assert');
+const storage = require('../../src/storage');
+
+
+async function newStore(label) {
+    const store = new storage.Storage({backing: 'memory', label});
+    await store.initialize();
+    return store;
+}
+
+
+describe('archive', function() {
+
+    it('round trips a payload', async () => {
+        const sealed = await archive.seal({a: 1}, 'secret', 10);
+        assert.deepStrictEqual(await archive.open(sealed, 'secret'), {a: 1});
+    });
+
+    it('rejects the wrong passphrase and tampering', async () => {
+        const sealed = await archive.seal({a: 1}, 'secret', 10);
+        await assert.rejects(() => archive.open(sealed, 'wrong'), /Invalid archive passphrase/);
+        sealed[sealed.length - 1] ^= 1;
+        await assert.rejects(() => archive.open(sealed, 'secret'), /Invalid archive passphrase/);
+        await assert.rejects(() => archive.open(Buffer.from('junk'), 'secret'), TypeError);
+    });
+});
+
+
+describe('Storage account export', function() {
+
+    let source;
+
+    beforeEach(async () => {
+        source = await newStore('export');
+        await source.putState('addr', 'me');
+        await source.putState('deviceId', 2);
+        await source.saveOurIdentity({pubKey: Buffer.alloc(33, 1), privKey: Buffer.alloc(32, 2)});
+        await source.set('session', 'peer.1', 'session data');
+    });
+
+    it('restores the account into another store', async () => {
+        const data = await source.exportAccount('secret');
+        const target = await newStore('import');
+        await target.set('session', 'stale.1', 'x');
+        assert.deepStrictEqual(await target.importAccount(data, 'secret'), {addr: 'me', deviceId: 2});
+        assert.strictEqual(await target.getState('deviceId'), 2);
+        assert.ok((await target.getOurIdentity()).privKey.equals(Buffer.alloc(32, 2)));
+        assert.deepStrictEqual(await target.keys('session'), ['peer.1']);
+    });
+
+    it('requires an account to export', async () => {
+        await assert.rejects(async () => (await newStore('empty')).exportAccount('secret'),
+                             ReferenceError);
+    });
+
+    it('refuses to replace a different account unless forced', async () => {
+        const data = await source.exportAccount('secret');
+        const target = await newStore('other');
+        await target.putState('addr', 'someone else');
+        await target.putState('deviceId', 1);
+        await assert.rejects(() => target.importAccount(data, 'secret'), /Refusing to replace/);
+        assert.strictEqual(await target.getState('addr'), 'someone else');
+        await target.importAccount(data, 'secret', {force: true});
+        assert.strictEqual(await target.getState('addr'), 'me');
+    });
+
+    it('rejects the wrong passphrase', async () => {
+        const data = await source.exportAccount('secret');
+        await assert.rejects(async () => (await newStore('wrong')).importAccount(data, 'wrong'),
+                             /Invalid archive passphrase/);
+    });
+});
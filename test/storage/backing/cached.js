@@ -0,0 +1,148 @@
+// vim: ts=4:sw=4:expandtab
+
+const CachedBacking = require('../../../src/storage/backing/cached');
+const MemoryBacking = require('../../../src/storage/backing/memory');
+const assert = require('assert');
+const storage = require('../../../src/storage');
+
+
+/* Memory backings that share one store, like processes sharing a database. */
+function sharedBacking() {
+    const store = new Map();
+    const expiries = new Map();
+    return class SharedBacking extends MemoryBacking {
+        constructor(label, options) {
+            super(label, options);
+            this.store = store;
+            this.expiries = expiries;
+        }
+    };
+}
+
+
+/* Locks that exclude every storage context in this process. */
+class LocalLockProvider extends storage.locks.LockProvider {
+
+    constructor(options) {
+        super(options);
+        this.held = new Map();
+    }
+
+    async acquire(name) {
+        while (this.held.has(name)) {
+            await this.held.get(name);
+        }
+        let release;
+        this.held.set(name, new Promise(resolve => release = resolve));
+        return async () => {
+            this.held.delete(name);
+            release();
+        };
+    }
+}
+
+
+describe('CachedBacking', function() {
+
+    let inner;
+    let backing;
+
+    beforeEach(async () => {
+        inner = new MemoryBacking('cached');
+        backing = new CachedBacking('cached', inner, {limits: {ns: 2}});
+        await backing.initialize();
+    });
+
+    it('serves repeated reads from the cache', async () => {
+        await inner.set('ns', 'a', '1');
+        assert.strictEqual(await backing.get('ns', 'a'), '1');
+        await inner.set('ns', 'a', 'changed');
+        assert.strictEqual(await backing.get('ns', 'a'), '1');
+        assert.deepStrictEqual(backing.getStats().ns,
+                               {hits: 1, misses: 1, evictions: 0, size: 1, limit: 2});
+    });
+
+    it('writes through and evicts the least recently used entry', async () => {
+        await backing.set('ns', 'a', '1');
+        await backing.set('ns', 'b', '2');
+        await backing.get('ns', 'a');
+        await backing.set('ns', 'c', '3');
+        assert.strictEqual(await inner.get('ns', 'c'), '3');
+        assert.strictEqual(backing.getStats().ns.evictions, 1);
+        assert.deepStrictEqual(Array.from(backing.caches.get('ns').keys()), ['a', 'c']);
+    });
+
+    it('does not cache namespaces without a limit', async () => {
+        await backing.set('other', 'a', '1');
+        await inner.set('other', 'a', '2');
+        assert.strictEqual(await backing.get('other', 'a'), '2');
+    });
+
+    it('invalidates keys matching a pattern', async () => {
+        await backing.set('ns', 'peer.1', '1');
+        await backing.set('ns', 'other.1', '2');
+        await inner.set('ns', 'peer.1', 'fresh');
+        await inner.set('ns', 'other.1', 'fresh');
+        backing.invalidate('ns', /^peer\./);
+        assert.strictEqual(await backing.get('ns', 'peer.1'), 'fresh');
+        assert.strictEqual(await backing.get('ns', 'other.1'), '2');
+    });
+});
+
+
+describe('Storage cache with locks', function() {
+
+    let workers;
+
+    beforeEach(async () => {
+        const Backing = sharedBacking();
+        const locks = new LocalLockProvider();
+        workers = [];
+        for (let i = 0; i < 2; i++) {
+            const store = new storage.Storage({
+                backing: Backing,
+                label: 'workers',
+                backingOptions: {cache: true, locks}
+            });
+            await store.initialize();
+            workers.push(store);
+        }
+    });
+
+    it('reads records changed by another worker once the lock is held', async () => {
+        const [a, b] = workers;
+        await a.set('session', 'peer.1', 'v1');
+        await a.set('identitykey', 'peer', 'k1');
+        await b.withLock('session:peer', async () => {
+            assert.strictEqual(await b.get('session', 'peer.1'), 'v1');
+            assert.strictEqual(await b.get('identitykey', 'peer'), 'k1');
+        });
+        await a.withLock('session:peer', async () => {
+            await a.set('session', 'peer.1', 'v2');
+            await a.set('identitykey', 'peer', 'k2');
+        });
+        assert.strictEqual(await b.get('session', 'peer.1'), 'v1');  // Unlocked reads may be stale.
+        await b.withLock('session:peer', async () => {
+            assert.strictEqual(await b.get('session', 'peer.1'), 'v2');
+            assert.strictEqual(await b.get('identitykey', 'peer'), 'k2');
+        });
+    });
+
+    it('keeps cached records for other peers', async () => {
+        const [a, b] = workers;
+        await a.set('session', 'other.1', 'v1');
+        assert.strictEqual(await b.get('session', 'other.1'), 'v1');
+        await b.withLock('session:peer', async () => {});
+        assert.strictEqual(b.getBacking().getStats().session.size, 1);
+    });
+
+    it('drops everything for other locks', async () => {
+        const [a, b] = workers;
+        await a.set('signedprekey', '1', 'v1');
+        assert.strictEqual(await b.get('signedprekey', '1'), 'v1');
+        await a.set('signedprekey', '1', 'v2');
+        await b.withLock('prekeys', async () => {
+            assert.strictEqual(await b.get('signedprekey', '1'), 'v2');
+        });
+    });
+});
@@ -0,0 +1,121 @@
+// vim: ts=4:sw=4:expandtab
+
+const EncryptedBacking = require('../../../src/storage/backing/encrypted');
+const MemoryBacking = require('../../../src/storage/backing/memory');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+
+function encrypted(inner, options) {
+    return new EncryptedBacking('test', inner, Object.assign({
+        passphrase: 'secret',
+        iterations: 10,
+        namespaces: ['ns']
+    }, options));
+}
+
+
+describe('EncryptedBacking', function() {
+
+    let inner;
+
+    beforeEach(() => {
+        inner = new MemoryBacking('test', {sweepInterval: 0});
+    });
+
+    it('requires a passphrase or key file', () => {
+        assert.throws(() => new EncryptedBacking('test', inner, {}), TypeError);
+    });
+
+    it('only stores ciphertext in the inner backing', async () => {
+        const backing = encrypted(inner);
+        await backing.initialize();
+        await backing.set('ns', 'a', 'plain value');
+        assert.strictEqual(await backing.get('ns', 'a'), 'plain value');
+        assert.ok(!(await inner.get('ns', 'a')).includes('plain value'));
+    });
+
+    it('binds values to their key', async () => {
+        const backing = encrypted(inner);
+        await backing.initialize();
+        await backing.set('ns', 'a', 'value');
+        await inner.set('ns', 'b', await inner.get('ns', 'a'));
+        await assert.rejects(() => backing.get('ns', 'b'));
+    });
+
+    it('rejects the wrong passphrase', async () => {
+        const backing = encrypted(inner);
+        await backing.initialize();
+        await backing.set('ns', 'a', 'value');
+        await backing.shutdown();
+        await assert.rejects(() => encrypted(inner, {passphrase: 'wrong'}).initialize(),
+                             /Invalid storage encryption key/);
+        const reopened = encrypted(inner);
+        await reopened.initialize();
+        assert.strictEqual(await reopened.get('ns', 'a'), 'value');
+    });
+
+    it('reads the key from a key file', async () => {
+        const keyFile = path.join(os.homedir(), 'storage.key');
+        fs.writeFileSync(keyFile, 'key file secret');
+        const backing = encrypted(inner, {passphrase: undefined, keyFile});
+        await backing.initialize();
+        await backing.set('ns', 'a', 'value');
+        await backing.shutdown();
+        await assert.rejects(() => encrypted(inner).initialize(), /Invalid storage encryption key/);
+    });
+
+    it('upgrades an unencrypted store', async () => {
+        await inner.set('ns', 'a', '1');
+        await inner.set('ns', 'b', '2');
+        const backing = encrypted(inner);
+        await backing.initialize();
+        assert.strictEqual(await backing.get('ns', 'a'), '1');
+        assert.strictEqual(await backing.get('ns', 'b'), '2');
+        assert.ok((await inner.get('ns', 'a')).startsWith('enc1:'));
+        assert.strictEqual(JSON.parse(await inner.get('_encryption', 'params')).upgrading, undefined);
+    });
+
+    it('keeps ttls when upgrading', async () => {
+        await inner.set('ns', 'permanent', '1');
+        await inner.set('ns', 'expiring', '2', 60);
+        const backing = encrypted(inner);
+        await backing.initialize();
+        assert.strictEqual(await backing.ttl('ns', 'permanent'), null);
+        const ttl = await backing.ttl('ns', 'expiring');
+        assert.ok(ttl > 59 && ttl <= 60, ttl);
+        assert.strictEqual(await backing.get('ns', 'expiring'), '2');
+    });
+
+    it('resumes an interrupted upgrade with the same key', async () => {
+        for (const x of ['a', 'b', 'c', 'd']) {
+            await inner.set('ns', x, 'value ' + x);
+        }
+        const set = inner.set;
+        let writes = 0;
+        inner.set = async function(...args) {
+            if (writes++ === 2) {
+                throw new Error('interrupted');
+            }
+            return await set.apply(this, args);
+        };
+        await assert.rejects(() => encrypted(inner).initialize(), /interrupted/);
+        inner.set = set;
+        assert.ok(JSON.parse(await inner.get('_encryption', 'params')).upgrading);
+        const backing = encrypted(inner);
+        await backing.initialize();
+        for (const x of ['a', 'b', 'c', 'd']) {
+            assert.strictEqual(await backing.get('ns', x), 'value ' + x);
+        }
+        assert.strictEqual(JSON.parse(await inner.get('_encryption', 'params')).upgrading, undefined);
+    });
+
+    it('refuses to upgrade values sealed with another key', async () => {
+        const other = encrypted(new MemoryBacking('other'), {passphrase: 'other'});
+        await other.initialize();
+        await inner.set('ns', 'a', other._encrypt('ns', 'a', 'value'));
+        await assert.rejects(() => encrypted(inner).initialize(), /different key: ns\/a/);
+    });
+});
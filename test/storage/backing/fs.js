@@ -0,0 +1,124 @@
+// vim: ts=4:sw=4:expandtab
+
+const FSBacking = require('../../../src/storage/backing/fs');
+const assert = require('assert');
+const child_process = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../../../src/storage');
+
+
+describe('FSBacking', function() {
+
+    let backings;
+
+    beforeEach(() => {
+        backings = [];
+    });
+
+    afterEach(async () => {
+        for (const x of backings) {
+            await x.shutdown();
+        }
+    });
+
+    async function open(label, options) {
+        const backing = new FSBacking(label, Object.assign({sweepInterval: 0}, options));
+        await backing.initialize();
+        backings.push(backing);
+        return backing;
+    }
+
+    it('keeps keys inside their directory', async () => {
+        const backing = await open('fs-escape');
+        const keys = ['../up', 'a/b', 'a\\b', '.hidden', '100%', '%2F'];
+        for (const x of keys) {
+            await backing.set('ns', x, x);
+        }
+        assert.deepStrictEqual((await backing.keys('ns')).sort(), keys.slice().sort());
+        for (const x of keys) {
+            assert.strictEqual((await backing.get('ns', x)).toString(), x);
+        }
+        assert.deepStrictEqual(fs.readdirSync(backing.root).filter(x => !x.startsWith('.')),
+                               ['ns']);
+        assert.throws(() => backing._path('ns', ''), TypeError);
+    });
+
+    it('reports how long keys have left', async () => {
+        const backing = await open('fs-ttl');
+        await backing.set('ns', 'permanent', '1');
+        await backing.set('ns', 'expiring', '2', 60);
+        await backing.set('ns', 'gone', '3', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.strictEqual(await backing.ttl('ns', 'permanent'), null);
+        const ttl = await backing.ttl('ns', 'expiring');
+        assert.ok(ttl > 59 && ttl <= 60, ttl);
+        await assert.rejects(() => backing.ttl('ns', 'gone'), ReferenceError);
+        await assert.rejects(() => backing.ttl('ns', 'missing'), ReferenceError);
+    });
+
+    it('refuses a label locked by another process', async () => {
+        const backing = new FSBacking('fs-locked', {sweepInterval: 0});
+        fs.mkdirSync(backing.root, {recursive: true});
+        fs.writeFileSync(backing.lockFile, JSON.stringify({pid: process.ppid, host: os.hostname()}));
+        await assert.rejects(() => backing.initialize(), /locked by another process/);
+        fs.unlinkSync(backing.lockFile);
+    });
+
+    it('takes over locks left by dead processes', async () => {
+        const backing = new FSBacking('fs-stale', {sweepInterval: 0});
+        fs.mkdirSync(backing.root, {recursive: true});
+        fs.writeFileSync(backing.lockFile, JSON.stringify({pid: 2 ** 22 + 1, host: os.hostname()}));
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            await open('fs-stale');
+        } finally {
+            console.warn = warn;
+        }
+        assert.strictEqual(JSON.parse(fs.readFileSync(backing.lockFile)).pid, process.pid);
+    });
+
+    it('only installs its exit handler once a lock is taken', () => {
+        const module = path.join(__dirname, '..', '..', '..', 'src', 'storage', 'backing', 'fs');
+        const result = child_process.spawnSync(process.execPath, ['-e', `
+            const before = process.listenerCount('exit');
+            require(${JSON.stringify(module)});
+            console.log(process.listenerCount('exit') - before);
+        `], {encoding: 'utf8', timeout: 60000});
+        assert.strictEqual(result.stdout.trim(), '0');
+    });
+});
+
+
+describe('Legacy fs file names', function() {
+
+    it('are escaped by a migration', async () => {
+        const store = new storage.Storage({backing: 'fs', label: 'fs-legacy'});
+        const backing = store.getBacking();
+        const nsPath = path.join(backing.root, 'state');
+        fs.mkdirSync(nsPath, {recursive: true});
+        fs.writeFileSync(path.join(nsPath, '100%'), JSON.stringify({data: 1}));
+        fs.writeFileSync(path.join(nsPath, 'a%41b'), JSON.stringify({data: 2}));
+        fs.writeFileSync(path.join(nsPath, 'plain'), JSON.stringify({data: 3}));
+        fs.writeFileSync(path.join(nsPath, 'x%2Fy'), JSON.stringify({data: 4}));
+        const expected = ['100%25', 'a%2541b', 'plain', 'x%2Fy'];
+        try {
+            await store.initialize();
+            assert.deepStrictEqual(fs.readdirSync(nsPath).sort(), expected);
+            assert.deepStrictEqual((await store.keys('state')).sort(), ['100%', 'a%41b', 'plain', 'x/y']);
+            assert.strictEqual(await store.getState('a%41b'), 2);
+            assert.strictEqual(await store.getState('x/y'), 4);
+            // An interrupted migration is run again from the start.
+            assert.strictEqual(await backing.escapeLegacyNames(), 0);
+            await store.set(storage.migrations.schemaNS, 'version', 1);
+            const applied = await storage.migrations.run(store);
+            assert.deepStrictEqual(applied.map(x => x.version), [2]);
+            assert.deepStrictEqual(fs.readdirSync(nsPath).sort(), expected);
+            assert.strictEqual(await store.getState('100%'), 1);
+        } finally {
+            await store.shutdown();
+        }
+    });
+});
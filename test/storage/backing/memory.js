@@ -0,0 +1,109 @@
+// vim: ts=4:sw=4:expandtab
+
+const MemoryBacking = require('../../../src/storage/backing/memory');
+const assert = require('assert');
+
+
+describe('MemoryBacking', function() {
+
+    let backing;
+
+    beforeEach(async () => {
+        backing = new MemoryBacking('test', {sweepInterval: 0});
+        await backing.initialize();
+    });
+
+    afterEach(async () => {
+        await backing.shutdown();
+    });
+
+    it('stores and removes values', async () => {
+        await backing.set('ns', 'a', '1');
+        await backing.set('ns', 'b', '2');
+        assert.strictEqual(await backing.get('ns', 'a'), '1');
+        assert.deepStrictEqual(await backing.keys('ns', /^b/), ['b']);
+        await backing.remove('ns', 'a');
+        assert.strictEqual(await backing.has('ns', 'a'), false);
+        await assert.rejects(() => backing.get('ns', 'a'), ReferenceError);
+        await assert.rejects(() => backing.set('ns', 'c', undefined), /undefined/);
+    });
+
+    it('keeps instances separate', async () => {
+        const other = new MemoryBacking('test');
+        await backing.set('ns', 'a', '1');
+        assert.strictEqual(await other.has('ns', 'a'), false);
+    });
+
+    it('only lists namespaces that hold keys', async () => {
+        await backing.set('ns1', 'a', '1');
+        await backing.set('ns2', 'a', '1');
+        await backing.remove('ns2', 'a');
+        await backing.set('ns3', 'a', '1', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepStrictEqual(await backing.namespaces(), ['ns1']);
+    });
+
+    it('expires and sweeps keys with a ttl', async () => {
+        await backing.set('ns', 'gone', 'x', 0.001);
+        await backing.set('ns', 'kept', 'y', 60);
+        await backing.set('ns', 'permanent', 'z', 0.001);
+        await backing.set('ns', 'permanent', 'z');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepStrictEqual((await backing.keys('ns')).sort(), ['kept', 'permanent']);
+        await backing.set('ns', 'gone2', 'x', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.strictEqual(await backing.sweep(), 1);
+        assert.strictEqual(backing.store.get('ns').has('gone2'), false);
+    });
+
+    it('reports how long keys have left', async () => {
+        await backing.set('ns', 'permanent', '1');
+        await backing.set('ns', 'expiring', '2', 60);
+        await backing.set('ns', 'gone', '3', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.strictEqual(await backing.ttl('ns', 'permanent'), null);
+        const ttl = await backing.ttl('ns', 'expiring');
+        assert.ok(ttl > 59 && ttl <= 60, ttl);
+        await assert.rejects(() => backing.ttl('ns', 'gone'), ReferenceError);
+        await assert.rejects(() => backing.ttl('ns', 'missing'), ReferenceError);
+    });
+
+    it('applies none of an invalid batch', async () => {
+        await assert.rejects(() => backing.batch([
+            {op: 'set', ns: 'ns', key: 'a', value: '1'},
+            {op: 'bogus', ns: 'ns', key: 'b'}
+        ]), TypeError);
+        await assert.rejects(() => backing.batch([
+            {op: 'set', ns: 'ns', key: 'a', value: '1'},
+            {op: 'set', ns: 'ns', key: 'b', value: undefined}
+        ]), /undefined/);
+        assert.deepStrictEqual(await backing.namespaces(), []);
+    });
+
+    it('restores a snapshot', async () => {
+        await backing.set('ns', 'a', '1');
+        const snapshot = JSON.parse(JSON.stringify(backing.snapshot()));
+        await backing.set('ns', 'a', '2');
+        await backing.set('other', 'b', '3', 60);
+        backing.restore(snapshot);
+        assert.strictEqual(await backing.get('ns', 'a'), '1');
+        assert.deepStrictEqual(await backing.namespaces(), ['ns']);
+        assert.strictEqual(backing.expiries.size, 0);
+    });
+
+    it('keeps expiration times in snapshots', async () => {
+        await backing.set('ns', 'permanent', '1');
+        await backing.set('ns', 'expiring', '2', 60);
+        await backing.set('ns', 'soon', '3', 0.05);
+        await backing.set('gone', 'a', '4', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const snapshot = JSON.parse(JSON.stringify(backing.snapshot()));
+        assert.deepStrictEqual(snapshot.store, {ns: {permanent: '1', expiring: '2', soon: '3'}});
+        assert.deepStrictEqual(Object.keys(snapshot.expiries.ns).sort(), ['expiring', 'soon']);
+        backing.restore(snapshot);
+        assert.ok(backing.expiries.get('ns').get('expiring') > Date.now() + 50000);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepStrictEqual((await backing.keys('ns')).sort(), ['expiring', 'permanent']);
+        assert.deepStrictEqual(await backing.namespaces(), ['ns']);
+    });
+});
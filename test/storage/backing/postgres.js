@@ -0,0 +1,140 @@
+// vim: ts=4:sw=4:expandtab
+
+const PostgresBacking = require('../../../src/storage/backing/postgres');
+const StorageInterface = require('../../../src/storage/backing/interface');
+const assert = require('assert');
+
+
+/* Stands in for a pg.Pool and records every query made through it. */
+class FakePool {
+
+    constructor() {
+        this.queries = [];
+        this.failures = [];
+        this.released = [];
+        this.rows = [];
+    }
+
+    async query(text, values) {
+        this.queries.push({text, values});
+        const error = this.failures.shift();
+        if (error) {
+            throw error;
+        }
+        return {rowCount: this.rows.length || 1, rows: this.rows};
+    }
+
+    async connect() {
+        return {
+            query: this.query.bind(this),
+            release: error => this.released.push(error)
+        };
+    }
+}
+
+
+function connectionError() {
+    const e = new Error('connect ECONNRESET');
+    e.code = 'ECONNRESET';
+    return e;
+}
+
+
+describe('PostgresBacking', function() {
+
+    let backing;
+    let pool;
+    let warn;
+
+    beforeEach(() => {
+        warn = console.warn;
+        console.warn = () => {};
+        backing = new PostgresBacking('My-Label', {postgres: {retryDelay: 0}});
+        pool = backing.pool = new FakePool();
+        backing.initialized = true;
+    });
+
+    afterEach(() => {
+        console.warn = warn;
+    });
+
+    it('passes connection options to the pool', () => {
+        const b = new PostgresBacking('x', {
+            postgres: {host: 'db', port: 5433, ssl: {rejectUnauthorized: false}, max: 4, schema: 'Relay'}
+        });
+        assert.deepStrictEqual(b.poolConfig,
+                               {host: 'db', port: 5433, ssl: {rejectUnauthorized: false}, max: 4});
+        assert.strictEqual(b.tableName, 'relay.faux_redis_x');
+        assert.strictEqual(backing.tableName, 'faux_redis_my_label');
+    });
+
+    it('reads ttls from the expiration column', async () => {
+        pool.rows = [{ttl: 42.5}];
+        assert.strictEqual(await backing.ttl('ns', 'a'), 42.5);
+        pool.rows = [{ttl: null}];
+        assert.strictEqual(await backing.ttl('ns', 'a'), null);
+        assert.deepStrictEqual(pool.queries[0].values, ['ns', 'a']);
+        assert.ok(pool.queries[0].text.includes('expires - now()'));
+    });
+
+    it('retries queries that fail to connect', async () => {
+        const events = [];
+        backing.on('reconnecting', ev => events.push(ev.attempt));
+        pool.failures.push(connectionError(), connectionError());
+        await backing.set('ns', 'a', '1');
+        assert.deepStrictEqual(events, [1, 2]);
+        assert.strictEqual(pool.queries.length, 3);
+    });
+
+    it('gives up after the configured retries', async () => {
+        backing.retries = 1;
+        pool.failures.push(connectionError(), connectionError());
+        await assert.rejects(() => backing.set('ns', 'a', '1'), /ECONNRESET/);
+    });
+
+    it('does not retry other errors', async () => {
+        pool.failures.push(new Error('syntax error'));
+        await assert.rejects(() => backing.set('ns', 'a', '1'), /syntax error/);
+        assert.strictEqual(pool.queries.length, 1);
+    });
+
+    it('pushes prefix filters down to SQL', async () => {
+        pool.rows = [{key: 'peer.1'}, {key: 'peer.x'}];
+        assert.deepStrictEqual(await backing.keys('session', /^peer\.\d/), ['peer.1']);
+        const query = pool.queries.pop();
+        assert.ok(/LIKE/.test(query.text));
+        assert.deepStrictEqual(query.values, ['session', 'peer.%']);
+        await backing.keys('session', /50%_off/);
+        assert.deepStrictEqual(pool.queries.pop().values, ['session', '%50\\%\\_off%']);
+        await backing.keys('session', /a|b/);
+        assert.ok(!/LIKE/.test(pool.queries.pop().text));
+    });
+
+    it('rolls back failed batches and discards broken clients', async () => {
+        pool.failures.push(undefined, new Error('constraint'));
+        await assert.rejects(() => backing.batch([{op: 'set', ns: 'ns', key: 'a', value: '1'}]),
+                             /constraint/);
+        assert.deepStrictEqual(pool.queries.map(x => x.text.trim().split(/\s/)[0]),
+                               ['BEGIN', 'INSERT', 'ROLLBACK']);
+        assert.deepStrictEqual(pool.released, [undefined]);
+        pool.queries = [];
+        pool.failures.push(undefined, connectionError());
+        await backing.batch([{op: 'remove', ns: 'ns', key: 'a'}]);
+        assert.ok(pool.released[1] instanceof Error);
+        assert.strictEqual(pool.queries.filter(x => x.text === 'COMMIT').length, 1);
+    });
+
+    it('keeps the original error and discards the client when a rollback fails', async () => {
+        const rollbackError = new Error('rollback failed');
+        pool.failures.push(undefined, new Error('constraint'), rollbackError);
+        await assert.rejects(() => backing.batch([{op: 'set', ns: 'ns', key: 'a', value: '1'}]),
+                             /constraint/);
+        assert.deepStrictEqual(pool.released, [rollbackError]);
+    });
+
+    it('finds literal prefixes in simple patterns', () => {
+        assert.deepStrictEqual(StorageInterface.regexLiteral(/^abc\.d/),
+                               {literal: 'abc.d', anchored: true});
+        assert.strictEqual(StorageInterface.regexLiteral(/abc/i), undefined);
+    });
+});
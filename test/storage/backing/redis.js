@@ -0,0 +1,182 @@
+// vim: ts=4:sw=4:expandtab
+
+const RedisBacking = require('../../../src/storage/backing/redis');
+const assert = require('assert');
+const redisHelpers = require('../../helpers/redis');
+
+
+describe('RedisBacking', function() {
+
+    let Backing;
+    let backings;
+
+    beforeEach(() => {
+        Backing = redisHelpers.mockServer();
+        backings = [];
+    });
+
+    afterEach(async () => {
+        for (const x of backings) {
+            await x.shutdown();
+        }
+    });
+
+    async function open(label, options) {
+        const backing = new Backing(label || 'test', options);
+        await backing.initialize();
+        backings.push(backing);
+        return backing;
+    }
+
+    it('stores and removes values', async () => {
+        const backing = await open();
+        await backing.set('ns', 'a', '1');
+        await backing.set('ns', 'b', '2');
+        assert.strictEqual(await backing.get('ns', 'a'), '1');
+        assert.strictEqual(await backing.has('ns', 'b'), true);
+        assert.deepStrictEqual((await backing.keys('ns')).sort(), ['a', 'b']);
+        assert.deepStrictEqual(await backing.keys('ns', /^b/), ['b']);
+        assert.strictEqual(await backing.remove('ns', 'a'), true);
+        await assert.rejects(() => backing.get('ns', 'a'), ReferenceError);
+    });
+
+    it('reports how long keys have left', async () => {
+        const backing = await open();
+        await backing.set('ns', 'permanent', '1');
+        await backing.set('ns', 'expiring', '2', 60);
+        await backing.set('ns', 'gone', '3', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.strictEqual(await backing.ttl('ns', 'permanent'), null);
+        const ttl = await backing.ttl('ns', 'expiring');
+        assert.ok(ttl > 59 && ttl <= 60, ttl);
+        await assert.rejects(() => backing.ttl('ns', 'gone'), ReferenceError);
+        await assert.rejects(() => backing.ttl('ns', 'missing'), ReferenceError);
+    });
+
+    it('applies batches', async () => {
+        const backing = await open();
+        await backing.set('ns', 'old', 'x');
+        await backing.batch([
+            {op: 'set', ns: 'ns', key: 'a', value: '1'},
+            {op: 'remove', ns: 'ns', key: 'old'}
+        ]);
+        assert.deepStrictEqual(await backing.keys('ns'), ['a']);
+        await assert.rejects(() => backing.batch([{op: 'bogus', ns: 'ns', key: 'a'}]), TypeError);
+    });
+
+    it('keeps labels separate', async () => {
+        const bot = await open('bot');
+        const botProd = await open('bot-prod');
+        const bot2 = await open('bot2');
+        await bot.set('session', 'a', '1');
+        await botProd.set('session', 'a', '2');
+        await botProd.set('state', 'b', '2');
+        await bot2.set('prekey', 'c', '3');
+        assert.strictEqual(await bot.get('session', 'a'), '1');
+        assert.deepStrictEqual(await bot.namespaces(), ['session']);
+        assert.deepStrictEqual((await botProd.namespaces()).sort(), ['session', 'state']);
+        assert.deepStrictEqual(await bot2.namespaces(), ['prekey']);
+    });
+
+    it('finds keys with HSCAN filters and ttls', async () => {
+        const backing = await open('scan', {redis: {scanCount: 1}});
+        for (let i = 0; i < 5; i++) {
+            await backing.set('session', `peer.${i}`, 'x');
+        }
+        await backing.set('session', 'other.1', 'x');
+        await backing.set('session', 'peer.9', 'x', 60);
+        assert.deepStrictEqual((await backing.keys('session', /^peer\./)).sort(),
+                               ['peer.0', 'peer.1', 'peer.2', 'peer.3', 'peer.4', 'peer.9']);
+    });
+
+    it('lists keys with ttls from an index instead of scanning', async () => {
+        const backing = await open();
+        let scans = 0;
+        const scan = backing.client.scan.bind(backing.client);
+        backing.client.scan = (...args) => (scans++, scan(...args));
+        await backing.set('ns', 'short', '1', 0.05);
+        await backing.set('ns', 'long', '2', 60);
+        await backing.set('ns', 'plain', '3');
+        assert.deepStrictEqual((await backing.keys('ns')).sort(), ['long', 'plain', 'short']);
+        assert.strictEqual(scans, 0);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual((await backing.keys('ns')).sort(), ['long', 'plain']);
+        assert.deepStrictEqual(await backing.client.zrange(backing._ttlIndexKey('ns'), 0, -1),
+                               ['long']);
+    });
+
+    it('drops keys from the ttl index when made permanent or removed', async () => {
+        const backing = await open();
+        await backing.set('ns', 'a', '1', 60);
+        await backing.set('ns', 'b', '2', 60);
+        await backing.set('ttlonly', 'c', '3', 60);
+        assert.deepStrictEqual((await backing.namespaces()).sort(), ['ns', 'ttlonly']);
+        await backing.set('ns', 'a', '1');
+        await backing.remove('ns', 'b');
+        await backing.remove('ttlonly', 'c');
+        assert.deepStrictEqual(await backing.client.zrange(backing._ttlIndexKey('ns'), 0, -1), []);
+        assert.deepStrictEqual(await backing.keys('ns'), ['a']);
+        assert.deepStrictEqual(await backing.namespaces(), ['ns']);
+    });
+
+    it('keeps the key prefix separate from the label', async () => {
+        const plain = await open('bot');
+        const prefixed = await open('bot', {redis: {prefix: 'relay:'}});
+        await plain.set('state', 'a', '1');
+        assert.strictEqual(await prefixed.has('state', 'a'), false);
+        assert.strictEqual(prefixed.keyPrefix, 'relay:bot-');
+        assert.strictEqual(new Backing('bot', {redis: {cluster: []}}).keyPrefix, '{bot}-');
+    });
+
+    it('only reports changes to its own label', async () => {
+        const backing = await open('bot');
+        backing.client.options = {db: 0};  // Not set by the mock.
+        const changes = [];
+        await backing.watch(change => changes.push(change));
+        for (const ns of ['session', 'prod-session', 'ttl:session']) {
+            backing.subscriber.emit('pmessage', '*', '__keyspace@0__:bot-' + ns, 'hset');
+        }
+        backing.subscriber.emit('pmessage', '*', '__keyspace@0__:bot-state', 'hdel');
+        assert.deepStrictEqual(changes, [
+            {ns: 'session', op: 'set', existed: undefined, exists: true},
+            {ns: 'state', op: 'remove', existed: true, exists: false}
+        ]);
+    });
+
+    it('surfaces client errors as events', async () => {
+        const backing = await open();
+        const events = [];
+        backing.on('error', e => events.push(e.message));
+        backing.on('reconnecting', delay => events.push(delay));
+        backing.client.emit('error', new Error('connection lost'));
+        backing.client.emit('reconnecting', 100);
+        assert.deepStrictEqual(events, ['connection lost', 100]);
+    });
+});
+
+
+describe('RedisBacking client options', function() {
+
+    function createClient(options) {
+        const backing = new RedisBacking('test', {redis: Object.assign({client: {lazyConnect: true}}, options)});
+        const client = backing._createClient();
+        client.disconnect();
+        return client.options;
+    }
+
+    it('passes connection options to the client', () => {
+        const options = createClient({host: 'cache', port: 6380, password: 'secret', db: 2, tls: true});
+        assert.strictEqual(options.host, 'cache');
+        assert.strictEqual(options.port, 6380);
+        assert.strictEqual(options.password, 'secret');
+        assert.strictEqual(options.db, 2);
+        assert.deepStrictEqual(options.tls, {});
+    });
+
+    it('connects through sentinels', () => {
+        const options = createClient({sentinels: [{host: 'sentinel', port: 26379}], name: 'main'});
+        assert.deepStrictEqual(options.sentinels, [{host: 'sentinel', port: 26379}]);
+        assert.strictEqual(options.name, 'main');
+        assert.throws(() => createClient({sentinels: [{host: 'sentinel'}]}), /require a master/);
+    });
+});
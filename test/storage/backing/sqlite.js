@@ -0,0 +1,132 @@
+// vim: ts=4:sw=4:expandtab
+
+const SqliteBacking = require('../../../src/storage/backing/sqlite');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const process = require('process');
+
+let dbCounter = 0;
+
+
+function newBacking(label, options, filename) {
+    process.env.SQLITE_DATABASE = filename;
+    try {
+        return new SqliteBacking(label, Object.assign({sweepInterval: 0}, options));
+    } finally {
+        delete process.env.SQLITE_DATABASE;
+    }
+}
+
+
+describe('SqliteBacking', function() {
+
+    let filename;
+    let backings;
+
+    beforeEach(() => {
+        filename = path.join(os.homedir(), `sqlite-${dbCounter++}`, 'storage.sqlite');
+        backings = [];
+    });
+
+    afterEach(async () => {
+        for (const x of backings) {
+            await x.shutdown();
+        }
+    });
+
+    async function open(label, options) {
+        const backing = newBacking(label || 'test', options, filename);
+        await backing.initialize();
+        backings.push(backing);
+        return backing;
+    }
+
+    it('stores and removes values', async () => {
+        const backing = await open();
+        await backing.set('ns', 'a', '1');
+        await backing.set('ns', 'b', '2');
+        assert.strictEqual(await backing.get('ns', 'a'), '1');
+        assert.strictEqual(await backing.has('ns', 'b'), true);
+        assert.deepStrictEqual((await backing.keys('ns')).sort(), ['a', 'b']);
+        assert.deepStrictEqual(await backing.keys('ns', /^b/), ['b']);
+        assert.deepStrictEqual(await backing.namespaces(), ['ns']);
+        assert.strictEqual(await backing.remove('ns', 'a'), true);
+        await assert.rejects(() => backing.get('ns', 'a'), ReferenceError);
+    });
+
+    it('expires keys with a ttl', async () => {
+        const backing = await open();
+        await backing.set('ns', 'gone', 'x', 0.001);
+        await backing.set('ns', 'kept', 'y');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.strictEqual(await backing.has('ns', 'gone'), false);
+        assert.deepStrictEqual(await backing.keys('ns'), ['kept']);
+        assert.strictEqual(await backing.sweep(), 1);
+    });
+
+    it('reports how long keys have left', async () => {
+        const backing = await open();
+        await backing.set('ns', 'permanent', '1');
+        await backing.set('ns', 'expiring', '2', 60);
+        await backing.set('ns', 'gone', '3', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.strictEqual(await backing.ttl('ns', 'permanent'), null);
+        const ttl = await backing.ttl('ns', 'expiring');
+        assert.ok(ttl > 59 && ttl <= 60, ttl);
+        await assert.rejects(() => backing.ttl('ns', 'gone'), ReferenceError);
+        await assert.rejects(() => backing.ttl('ns', 'missing'), ReferenceError);
+    });
+
+    it('rolls back a failed batch', async () => {
+        const backing = await open();
+        await backing.set('ns', 'a', 'old');
+        const call = backing._call;
+        let count = 0;
+        backing._call = function(method, query, ...args) {
+            if (query === this.queryRemoveValue && count++) {
+                return Promise.reject(new Error('boom'));
+            }
+            return call.call(this, method, query, ...args);
+        };
+        await assert.rejects(() => backing.batch([
+            {op: 'set', ns: 'ns', key: 'a', value: 'new'},
+            {op: 'remove', ns: 'ns', key: 'b'},
+            {op: 'remove', ns: 'ns', key: 'c'}
+        ]), /boom/);
+        backing._call = call;
+        assert.strictEqual(await backing.get('ns', 'a'), 'old');
+    });
+
+    it('waits for other connections writing to the same file', async () => {
+        const a = await open();
+        const b = await open();
+        const writes = [];
+        for (let i = 0; i < 20; i++) {
+            const backing = i % 2 ? a : b;
+            writes.push(backing.batch([
+                {op: 'set', ns: 'ns', key: 'x' + i, value: 'v'},
+                {op: 'set', ns: 'ns', key: 'y' + i, value: 'v'}
+            ]));
+        }
+        await Promise.all(writes);
+        assert.strictEqual((await a.keys('ns')).length, 40);
+        assert.strictEqual((await b.keys('ns')).length, 40);
+        assert.strictEqual((await a._async('get', 'PRAGMA journal_mode')).journal_mode, 'wal');
+    });
+
+    it('creates a private database file', async () => {
+        await open();
+        assert.strictEqual(fs.statSync(path.dirname(filename)).mode & 0o777, 0o700);
+        assert.strictEqual(fs.statSync(filename).mode & 0o777, 0o600);
+    });
+
+    it('tightens the permissions of an existing database file', async () => {
+        fs.mkdirSync(path.dirname(filename));
+        fs.writeFileSync(filename, '', {mode: 0o644});
+        fs.chmodSync(filename, 0o644);
+        await open();
+        assert.strictEqual(fs.statSync(filename).mode & 0o777, 0o600);
+    });
+});
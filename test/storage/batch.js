@@ -0,0 +1,82 @@
+// vim: ts=4:sw=4:expandtab
+
+const FSBacking = require('../../src/storage/backing/fs');
+const assert = require('assert');
+const fs = require('fs');
+const storage = require('../../src/storage');
+
+
+describe('Batch', function() {
+
+    let store;
+
+    beforeEach(async () => {
+        store = new storage.Storage({backing: 'memory', label: 'batch'});
+        await store.initialize();
+    });
+
+    it('commits every write', async () => {
+        const batch = store.batch().putState('a', 1).putState('b', Buffer.from('x'));
+        batch.removeState('a');
+        await batch.commit();
+        assert.strictEqual(await store.getState('a'), undefined);
+        assert.ok((await store.getState('b')).equals(Buffer.from('x')));
+        assert.deepStrictEqual(batch.ops, []);
+    });
+
+    it('applies none of the writes when the backing rejects the batch', async () => {
+        const batch = store.batch().putState('a', 1);
+        batch.ops.push({op: 'bogus', ns: 'state', key: 'b'});
+        await assert.rejects(() => batch.commit(), TypeError);
+        assert.strictEqual(await store.getState('a'), undefined);
+    });
+
+    it('queues removal of a peer\'s sessions', async () => {
+        await store.set('session', 'peer.1', 'x');
+        await store.set('session', 'peer.2', 'x');
+        await store.set('session', 'other.1', 'x');
+        await (await store.batch().removeAllSessions('peer')).commit();
+        assert.deepStrictEqual(await store.keys('session'), ['other.1']);
+    });
+});
+
+
+describe('FSBacking journal', function() {
+
+    it('replays an interrupted batch on initialize', async () => {
+        const backing = new FSBacking('journal', {sweepInterval: 0});
+        await backing.initialize();
+        await backing.set('ns', 'stale', 'x');
+        await backing.shutdown();
+        fs.writeFileSync(backing.journal, JSON.stringify([
+            {op: 'set', ns: 'ns', key: 'a', value: '1'},
+            {op: 'remove', ns: 'ns', key: 'stale'}
+        ]));
+        const reopened = new FSBacking('journal', {sweepInterval: 0});
+        await reopened.initialize();
+        try {
+            assert.strictEqual((await reopened.get('ns', 'a')).toString(), '1');
+            assert.strictEqual(await reopened.has('ns', 'stale'), false);
+            assert.strictEqual(fs.existsSync(reopened.journal), false);
+        } finally {
+            await reopened.shutdown();
+        }
+    });
+
+    it('keeps the journal of a batch that failed part way', async () => {
+        const backing = new FSBacking('journal-fail', {sweepInterval: 0});
+        await backing.initialize();
+        try {
+            backing.remove = async () => {
+                throw new Error('crash');
+            };
+            await assert.rejects(() => backing.batch([
+                {op: 'set', ns: 'ns', key: 'a', value: '1'},
+                {op: 'remove', ns: 'ns', key: 'b'}
+            ]), /crash/);
+            assert.strictEqual(fs.existsSync(backing.journal), true);
+        } finally {
+            await backing.shutdown();
+        }
+    });
+});
@@ -0,0 +1,104 @@
+// vim: ts=4:sw=4:expandtab
+
+const MemoryBacking = require('../../src/storage/backing/memory');
+const assert = require('assert');
+const storage = require('../../src/storage');
+
+
+/* Memory backing with a change feed the test can drive. */
+class WatchedBacking extends MemoryBacking {
+
+    async watch(callback) {
+        this.callback = callback;
+    }
+
+    async unwatch() {
+        this.callback = null;
+    }
+}
+
+
+describe('storagechange events', function() {
+
+    let store;
+    let changes;
+
+    beforeEach(async () => {
+        store = new storage.Storage({backing: WatchedBacking, label: 'changes'});
+        await store.initialize();
+        changes = [];
+        store.addEventListener('storagechange', ev => changes.push({
+            ns: ev.ns,
+            key: ev.key,
+            op: ev.op,
+            existed: ev.existed,
+            exists: ev.exists,
+            remote: ev.remote
+        }));
+    });
+
+    it('reports sets and removes', async () => {
+        await store.putState('addr', 'a');
+        await store.putState('addr', 'b');
+        await store.removeState('addr');
+        await store.removeState('addr');
+        const base = {ns: 'state', key: 'addr', remote: false};
+        assert.deepStrictEqual(changes, [
+            Object.assign({op: 'set', existed: false, exists: true}, base),
+            Object.assign({op: 'set', existed: true, exists: true}, base),
+            Object.assign({op: 'remove', existed: true, exists: false}, base),
+            Object.assign({op: 'remove', existed: false, exists: false}, base)
+        ]);
+    });
+
+    it('reports each write of a batch', async () => {
+        await store.set('session', 'peer.1', 'x');
+        changes.length = 0;
+        await (await store.batch().removeAllSessions('peer')).set('state', 'a', 1).commit();
+        assert.deepStrictEqual(changes.map(x => [x.ns, x.key, x.op, x.existed]),
+                               [['session', 'peer.1', 'remove', true], ['state', 'a', 'set', false]]);
+    });
+
+    it('reports a changed identity key', async () => {
+        const key1 = Buffer.alloc(33, 1);
+        const key2 = Buffer.alloc(33, 2);
+        await store.saveIdentity('peer', key1);
+        changes.length = 0;
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            await store.saveIdentity('peer', key2);
+        } finally {
+            console.warn = warn;
+        }
+        const identity = changes.find(x => x.ns === 'identitykey');
+        assert.deepStrictEqual(identity, {ns: 'identitykey', key: 'peer', op: 'set', existed: true,
+                                          exists: true, remote: false});
+    });
+
+    it('relays changes from other processes', async () => {
+        await store.watch();
+        store.backing.callback({ns: 'state', key: 'addr', op: 'set', existed: true, exists: true});
+        assert.deepStrictEqual(changes, [{ns: 'state', key: 'addr', op: 'set', existed: true,
+                                          exists: true, remote: true}]);
+        await store.unwatch();
+        assert.strictEqual(store.backing.callback, null);
+    });
+
+    it('requires a backing with a change feed to watch', async () => {
+        const plain = new storage.Storage({backing: 'memory', label: 'changes'});
+        await plain.initialize();
+        await assert.rejects(() => plain.watch(), /not supported/);
+    });
+
+    it('skips the presence checks when nobody is listening', async () => {
+        const quiet = new storage.Storage({backing: 'memory', label: 'quiet'});
+        await quiet.initialize();
+        let checks = 0;
+        const has = quiet.backing.has.bind(quiet.backing);
+        quiet.backing.has = (...args) => (checks++, has(...args));
+        await quiet.putState('a', 1);
+        await quiet.removeState('a');
+        assert.strictEqual(checks, 0);
+    });
+});
@@ -0,0 +1,51 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const storage = require('../../src/storage');
+
+
+describe('Storage contexts', function() {
+
+    it('keeps accounts in the same process apart', async () => {
+        const a = new storage.Storage({backing: 'sqlite', label: 'context-a'});
+        const b = new storage.Storage({backing: 'sqlite', label: 'context-b'});
+        await a.initialize();
+        await b.initialize();
+        try {
+            await a.putState('addr', 'a');
+            await b.putState('addr', 'b');
+            assert.strictEqual(await a.getState('addr'), 'a');
+            assert.strictEqual(await b.getState('addr'), 'b');
+        } finally {
+            await a.shutdown();
+            await b.shutdown();
+        }
+    });
+
+    it('switches labels within a backing', async () => {
+        const store = new storage.Storage({backing: 'sqlite', label: 'context-c'});
+        await store.initialize();
+        await store.putState('addr', 'c');
+        await store.shutdown();
+        store.setLabel('context-d');
+        await store.initialize();
+        try {
+            assert.strictEqual(store.getBacking().label, 'context-d');
+            assert.strictEqual(await store.getState('addr'), undefined);
+        } finally {
+            await store.shutdown();
+        }
+    });
+
+    it('rejects unknown backings', () => {
+        assert.throws(() => new storage.Storage({backing: 'bogus'}), /Invalid storage backing/);
+    });
+
+    it('binds the module functions to the default storage', async () => {
+        assert.ok(storage.defaultStorage instanceof storage.Storage);
+        await storage.initialize();
+        await storage.putState('module', 1);
+        assert.strictEqual(await storage.defaultStorage.getState('module'), 1);
+        await storage.removeState('module');
+    });
+});
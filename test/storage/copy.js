@@ -0,0 +1,101 @@
+// vim: ts=4:sw=4:expandtab
+
+const MemoryBacking = require('../../src/storage/backing/memory');
+const assert = require('assert');
+const child_process = require('child_process');
+const path = require('path');
+const storage = require('../../src/storage');
+
+
+describe('copyStore', function() {
+
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        source = new MemoryBacking('source');
+        target = new MemoryBacking('target');
+        await source.set('state', 'a', '1');
+        await source.set('session', 'b', '2');
+        await target.set('state', 'stale', 'x');
+    });
+
+    it('copies and counts every namespace', async () => {
+        const result = await storage.copy.copyStore(source, target);
+        assert.deepStrictEqual(result, {counts: {state: 1, session: 1}, total: 2});
+        assert.strictEqual(await target.get('session', 'b'), '2');
+        assert.strictEqual(await target.has('state', 'stale'), true);
+    });
+
+    it('limits the copy to some namespaces', async () => {
+        await storage.copy.copyStore(source, target, {namespaces: ['session']});
+        assert.strictEqual(await target.has('state', 'a'), false);
+    });
+
+    it('clears keys missing from the source', async () => {
+        await storage.copy.copyStore(source, target, {clear: true});
+        assert.deepStrictEqual(await target.keys('state'), ['a']);
+    });
+
+    it('keeps ttls', async () => {
+        await source.set('state', 'expiring', '3', 60);
+        await source.set('state', 'gone', '4', 0.001);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const result = await storage.copy.copyStore(source, target);
+        assert.strictEqual(result.counts.state, 2);
+        const ttl = await target.ttl('state', 'expiring');
+        assert.ok(ttl > 59 && ttl <= 60, ttl);
+        assert.strictEqual(await target.ttl('state', 'a'), null);
+        assert.strictEqual(await target.has('state', 'gone'), false);
+    });
+
+    it('detects extra or missing keys in the target', async () => {
+        const batch = target.batch.bind(target);
+        target.batch = async ops => batch(ops.filter(x => x.op !== 'remove'));
+        await assert.rejects(() => storage.copy.copyStore(source, target, {clear: true}),
+                             /Key count mismatch for state: 1 != 2/);
+        target.batch = async ops => batch(ops.filter(x => x.key !== 'b'));
+        await assert.rejects(() => storage.copy.copyStore(source, target),
+                             /Key count mismatch for session: 1 != 0/);
+    });
+
+    it('detects values that did not copy', async () => {
+        target.get = async () => 'corrupt';
+        await assert.rejects(() => storage.copy.copyStore(source, target), /Value mismatch/);
+    });
+});
+
+
+describe('copyLabel', function() {
+
+    it('copies between backings and out of an encrypted store', async () => {
+        const encryption = {passphrase: 'secret'};
+        const store = new storage.Storage({
+            backing: 'fs',
+            label: 'copy-source',
+            backingOptions: {encryption}
+        });
+        await store.initialize();
+        await store.putState('addr', 'me');
+        await store.shutdown();
+        const result = await storage.copyLabel(
+            {backing: 'fs', label: 'copy-source', options: {encryption}},
+            {backing: 'sqlite', label: 'copy-target'});
+        assert.strictEqual(result.counts.state, 1);
+        const copy = new storage.Storage({backing: 'sqlite', label: 'copy-target'});
+        await copy.initialize();
+        try {
+            assert.strictEqual(await copy.getState('addr'), 'me');
+        } finally {
+            await copy.shutdown();
+        }
+    });
+
+    it('exits with an error status when the example copy fails', () => {
+        const script = path.join(__dirname, '..', '..', 'examples', 'copystorage.js');
+        const result = child_process.spawnSync(process.execPath, [script, 'bogus', 'a', 'memory'],
+                                               {encoding: 'utf8', timeout: 60000});
+        assert.strictEqual(result.status, 1);
+        assert.ok(/Invalid storage backing/.test(result.stderr));
+    });
+});
@@ -0,0 +1,67 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const crypto = require('crypto');
+const eventing = require('../../src/eventing');
+const libsignal = require('libsignal');
+const storage = require('../../src/storage');
+
+const key1 = Buffer.alloc(33, 1);
+const key2 = Buffer.alloc(33, 2);
+
+
+function fingerprint(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+
+describe('Identity key history', function() {
+
+    let store;
+    let warn;
+
+    beforeEach(async () => {
+        warn = console.warn;
+        console.warn = () => {};
+        store = new storage.Storage({backing: 'memory', label: 'history'});
+        await store.initialize();
+    });
+
+    afterEach(() => {
+        console.warn = warn;
+    });
+
+    it('records how each key was accepted', async () => {
+        await store.isTrustedIdentity('peer.1', key1);
+        await store.isTrustedIdentity('peer.1', key1);
+        const ev = new eventing.KeyChangeEvent(new libsignal.UntrustedIdentityKeyError('peer', key2),
+                                               {storage: store});
+        await ev.accept();
+        await store.saveIdentity('peer', key1);
+        const history = await store.getIdentityHistory('peer');
+        assert.deepStrictEqual(history.map(x => [x.oldFingerprint, x.newFingerprint, x.acceptance]), [
+            [null, fingerprint(key1), 'implicit'],
+            [fingerprint(key1), fingerprint(key2), 'accept'],
+            [fingerprint(key2), fingerprint(key1), 'manual']
+        ]);
+        assert.ok(history[0].timestamp < history[1].timestamp);
+    });
+
+    it('resets sessions and verification when a key changes', async () => {
+        await store.saveIdentity('peer', key1);
+        await store.setVerified('peer', true, key1);
+        await store.set('session', 'peer.1', 'x');
+        await store.saveIdentity('peer', key2);
+        assert.deepStrictEqual(await store.keys('session'), []);
+        assert.strictEqual(await store.isVerified('peer'), false);
+    });
+
+    it('keeps the history after the identity is removed', async () => {
+        await store.saveIdentity('peer', key1);
+        await store.saveIdentity('other', key2);
+        await store.removeIdentity('peer');
+        assert.strictEqual((await store.getIdentityHistory('peer')).length, 1);
+        assert.deepStrictEqual((await store.getIdentityHistory()).map(x => x.addr).sort(),
+                               ['other', 'peer']);
+    });
+});
@@ -0,0 +1,164 @@
+// vim: ts=4:sw=4:expandtab
+
+const PostgresBacking = require('../../src/storage/backing/postgres');
+const Pool = require('pg-pool');
+const assert = require('assert');
+const events = require('events');
+const redisHelpers = require('../helpers/redis');
+const storage = require('../../src/storage');
+
+
+/* A pg client for pg-pool that fakes advisory locks and answers every other
+ * query as if the table were empty. */
+function fakeServer() {
+    const advisoryLocks = new Map();
+    return class FakeClient extends events.EventEmitter {
+
+        connect(callback) {
+            setImmediate(callback);
+        }
+
+        query(text, values, callback) {
+            const result = new Promise(resolve => setTimeout(() => {
+                const key = values && values[0];
+                if (/pg_try_advisory_lock/.test(text)) {
+                    const owner = advisoryLocks.get(key);
+                    const locked = !owner || owner === this;
+                    if (locked) {
+                        advisoryLocks.set(key, this);
+                    }
+                    resolve({rowCount: 1, rows: [{locked}]});
+                } else if (/pg_advisory_unlock/.test(text)) {
+                    advisoryLocks.delete(key);
+                    resolve({rowCount: 1, rows: []});
+                } else if (/^\s*SELECT/.test(text)) {
+                    resolve({rowCount: 0, rows: []});
+                } else {
+                    resolve({rowCount: 1, rows: []});
+                }
+            }, 1));
+            if (callback) {
+                result.then(res => callback(undefined, res));
+            } else {
+                return result;
+            }
+        }
+
+        end(callback) {
+            this.emit('end');
+            if (callback) {
+                setImmediate(callback);
+            }
+        }
+    };
+}
+
+
+function fakePostgres() {
+    const Client = fakeServer();
+    return class FakePostgresBacking extends PostgresBacking {
+        async initialize() {
+            this.pool = new Pool(Object.assign({Client}, this.poolConfig));
+            this.initialized = true;
+        }
+
+        async shutdown() {
+            await this.pool.end();
+        }
+    };
+}
+
+
+describe('PostgresLockProvider', function() {
+
+    let store;
+
+    async function open(postgres, locks) {
+        store = new storage.Storage({
+            backing: fakePostgres(),
+            label: 'locks',
+            backingOptions: {postgres, locks}
+        });
+        await store.initialize();
+        return store;
+    }
+
+    afterEach(async () => {
+        if (store) {
+            await store.shutdown();
+            store = null;
+        }
+    });
+
+    it('sends to more peers than the pool has connections', async () => {
+        await open({max: 4}, true);
+        const peers = Array.from(new Array(12), (_, i) => 'peer' + i);
+        const results = await Promise.all(peers.map(addr =>
+            store.withLock('session:' + addr, async () => {
+                await store.putState(addr, 1);
+                return await store.loadSession(addr + '.1');
+            })));
+        assert.strictEqual(results.length, 12);
+        assert.strictEqual(store.lockProvider.maxHeld, 2);
+        assert.strictEqual(store.lockProvider._held, 0);
+    });
+
+    it('excludes holders of the same lock', async () => {
+        await open({max: 10}, true);
+        const order = [];
+        await Promise.all([1, 2, 3].map(i => store.withLock('session:peer', async () => {
+            order.push('start' + i);
+            await store.putState('x', i);
+            order.push('end' + i);
+        })));
+        for (let i = 0; i < order.length; i += 2) {
+            assert.strictEqual(order[i].replace('start', 'end'), order[i + 1]);
+        }
+    });
+
+    it('times out waiting for a free slot', async () => {
+        await open({max: 4}, {maxHeld: 1, timeout: 0.05});
+        let release;
+        const held = store.withLock('session:a', () => new Promise(resolve => release = resolve));
+        await assert.rejects(() => store.withLock('session:b', async () => {}),
+                             /Timeout acquiring lock: session:b/);
+        release();
+        await held;
+        await store.withLock('session:b', async () => {});
+        assert.strictEqual(store.lockProvider._held, 0);
+    });
+
+    it('refuses to hold as many locks as the pool has connections', () => {
+        const Backing = fakePostgres();
+        const backing = new Backing('locks', {postgres: {max: 2}});
+        assert.throws(() => backing.createLockProvider({maxHeld: 2}), /must be less than the pool size/);
+        assert.strictEqual(backing.createLockProvider().maxHeld, 1);
+    });
+});
+
+
+describe('RedisLockProvider', function() {
+
+    let store;
+
+    beforeEach(async () => {
+        store = new storage.Storage({
+            backing: redisHelpers.mockServer(),
+            label: 'locks',
+            backingOptions: {locks: {timeout: 0.2}}
+        });
+        await store.initialize();
+    });
+
+    afterEach(async () => {
+        await store.shutdown();
+    });
+
+    it('excludes other holders until released', async () => {
+        const release = await store.lockProvider.acquire('session:peer');
+        await assert.rejects(() => store.withLock('session:peer', async () => {}),
+                             /Timeout acquiring lock/);
+        await release();
+        assert.strictEqual(await store.withLock('session:peer', async () => 'done'), 'done');
+    });
+});
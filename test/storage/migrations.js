@@ -0,0 +1,51 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const storage = require('../../src/storage');
+
+const migrations = storage.migrations;
+
+
+describe('migrations', function() {
+
+    let store;
+
+    beforeEach(() => {
+        store = new storage.Storage({backing: 'memory', label: 'migrations'});
+    });
+
+    it('brings a new store up to the latest version', async () => {
+        const applied = await store.initialize();
+        assert.deepStrictEqual(applied.map(x => x.version), migrations.all().map(x => x.version));
+        assert.strictEqual(await migrations.getVersion(store), migrations.latestVersion());
+        assert.deepStrictEqual(await store.initialize(), []);
+    });
+
+    it('only reports pending migrations in a dry run', async () => {
+        const pending = await store.initialize({dryRun: true});
+        assert.strictEqual(pending.length, migrations.all().length);
+        assert.strictEqual(await migrations.getVersion(store), 0);
+    });
+
+    it('resumes from the recorded version', async () => {
+        await store.initialize();
+        await store.set(migrations.schemaNS, 'version', migrations.latestVersion() - 1);
+        const applied = await store.initialize();
+        assert.deepStrictEqual(applied.map(x => x.version), [migrations.latestVersion()]);
+    });
+
+    it('refuses stores from a newer library', async () => {
+        await store.backing.initialize();
+        await store.set(migrations.schemaNS, 'version', migrations.latestVersion() + 1);
+        await assert.rejects(() => store.initialize(), /newer than this library supports/);
+    });
+
+    it('validates registrations', () => {
+        assert.throws(() => migrations.register(0, 'zero', async () => {}), TypeError);
+        assert.throws(() => migrations.register(1.5, 'fraction', async () => {}), TypeError);
+        assert.throws(() => migrations.register(migrations.latestVersion(), 'old', async () => {}),
+                      /must be greater than/);
+        assert.throws(() => migrations.register(migrations.latestVersion() + 1, 'no func'),
+                      TypeError);
+    });
+});
@@ -0,0 +1,61 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const storage = require('../../src/storage');
+
+const day = 86400 * 1000;
+const keyPair = {pubKey: Buffer.alloc(33, 1), privKey: Buffer.alloc(32, 2)};
+
+
+describe('Signed prekeys', function() {
+
+    let store;
+
+    beforeEach(async () => {
+        store = new storage.Storage({backing: 'memory', label: 'prekeys'});
+        await store.initialize();
+    });
+
+    async function addKey(keyId, created) {
+        await store.storeSignedPreKey(keyId, keyPair);
+        if (created === null) {
+            await store.remove('signedprekey', keyId + '.created');
+        } else {
+            await store.set('signedprekey', keyId + '.created', created);
+        }
+    }
+
+    it('lists keys oldest first with their creation times', async () => {
+        await addKey(10, 1000);
+        await addKey(2, null);
+        assert.deepStrictEqual(await store.getSignedPreKeys(),
+                               [{keyId: 2, created: null}, {keyId: 10, created: 1000}]);
+    });
+
+    it('prunes keys replaced more than the grace period ago', async () => {
+        await addKey(1, Date.now() - 50 * day);
+        await addKey(2, Date.now() - 40 * day);
+        await addKey(3, Date.now() - 10 * day);
+        await addKey(4, Date.now());
+        assert.deepStrictEqual(await store.pruneSignedPreKeys(), [1]);
+        assert.deepStrictEqual(await store.pruneSignedPreKeys(5 * 86400), [2]);
+        assert.deepStrictEqual((await store.getSignedPreKeys()).map(x => x.keyId), [3, 4]);
+        assert.ok(await store.loadSignedPreKey(3));
+    });
+
+    it('always keeps the newest key', async () => {
+        await addKey(1, Date.now() - 50 * day);
+        assert.deepStrictEqual(await store.pruneSignedPreKeys(0), []);
+    });
+
+    it('keeps keys replaced at an unknown time', async () => {
+        await addKey(1, null);
+        await addKey(2, null);
+        await addKey(3, Date.now());
+        assert.deepStrictEqual(await store.pruneSignedPreKeys(), []);
+        await store.set('signedprekey', '3.created', Date.now() - 40 * day);
+        await addKey(4, Date.now());
+        assert.deepStrictEqual(await store.pruneSignedPreKeys(), [2]);
+        assert.deepStrictEqual(await store.pruneSignedPreKeys(), [1]);
+    });
+});
@@ -0,0 +1,103 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const libsignal = require('libsignal');
+const storage = require('../../src/storage');
+
+const day = 86400 * 1000;
+
+
+/* A session record whose states were last used at `used`.  All but the last
+ * of the `states` are closed. */
+function sessionRecord(used, states) {
+    const record = new libsignal.SessionRecord();
+    for (let i = 0; i < (states || 1); i++) {
+        const session = libsignal.SessionRecord.createEntry();
+        session.indexInfo = {
+            baseKey: Buffer.alloc(33, i),
+            baseKeyType: 2,
+            closed: i < states - 1 ? used : -1,
+            used,
+            created: used - 1000,
+            remoteIdentityKey: Buffer.alloc(33)
+        };
+        session.currentRatchet = {
+            ephemeralKeyPair: {pubKey: Buffer.alloc(33), privKey: Buffer.alloc(32)},
+            lastRemoteEphemeralKey: Buffer.alloc(33),
+            previousCounter: 0,
+            rootKey: Buffer.alloc(32)
+        };
+        session._chains = {};
+        session.registrationId = 1;
+        record.setSession(session);
+    }
+    return record;
+}
+
+
+describe('Session maintenance', function() {
+
+    let store;
+    const old = Date.now() - 10 * day;
+
+    beforeEach(async () => {
+        store = new storage.Storage({backing: 'memory', label: 'sessions'});
+        await store.initialize();
+    });
+
+    it('describes stored sessions', async () => {
+        await store.set('session', 'a.1', sessionRecord(old, 3).serialize());
+        const [info] = await store.getSessions('a');
+        assert.deepStrictEqual(info, {
+            encodedAddr: 'a.1',
+            addr: 'a',
+            deviceId: 1,
+            open: true,
+            created: old - 1000,
+            lastUsed: old,
+            archived: 2
+        });
+    });
+
+    it('counts sessions stored after sending as used', async () => {
+        await store.storeSession('a.1', sessionRecord(old));
+        const [info] = await store.getSessions('a');
+        assert.ok(info.lastUsed > Date.now() - 1000);
+        assert.deepStrictEqual(await store.pruneSessions({maxIdle: 7 * 86400}), []);
+    });
+
+    it('leaves the use times libsignal picks sessions by alone', async () => {
+        const record = sessionRecord(old, 2);
+        const closed = Object.values(record.sessions).find(x => record.isClosed(x));
+        closed.indexInfo.used = old + 1000;
+        await store.storeSession('a.1', record);
+        const stored = await store.loadSession('a.1');
+        assert.strictEqual(stored.getOpenSession().indexInfo.used, old);
+        assert.deepStrictEqual(Object.values(stored.sessions).map(x => x.indexInfo.used).sort(),
+                               [old, old + 1000]);
+    });
+
+    it('removes use times with their sessions', async () => {
+        await store.storeSession('a.1', sessionRecord(old));
+        await store.storeSession('a.2', sessionRecord(old));
+        await store.storeSession('b.1', sessionRecord(old));
+        await store.removeSession('a.1');
+        await store.removeAllSessions('b');
+        assert.deepStrictEqual(await store.keys('sessionused'), ['a.2']);
+        await store.pruneSessions({devices: ['a.2']});
+        assert.deepStrictEqual(await store.keys('sessionused'), []);
+    });
+
+    it('prunes idle sessions and extra devices', async () => {
+        await store.set('session', 'a.1', sessionRecord(old).serialize());
+        await store.storeSession('a.2', sessionRecord(old));
+        await store.storeSession('b.1', sessionRecord(old));
+        const dryRun = await store.pruneSessions({maxIdle: 7 * 86400, dryRun: true});
+        assert.deepStrictEqual(dryRun.map(x => x.encodedAddr), ['a.1']);
+        assert.strictEqual((await store.getSessions()).length, 3);
+        await store.pruneSessions({maxIdle: 7 * 86400});
+        await store.pruneSessions({devices: ['b.1', 'c.1']});
+        assert.deepStrictEqual((await store.getSessions()).map(x => x.encodedAddr), ['a.2']);
+        await assert.rejects(() => store.pruneSessions({}), TypeError);
+    });
+});
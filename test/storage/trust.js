@@ -0,0 +1,80 @@
+// vim: ts=4:sw=4:expandtab
+
+const assert = require('assert');
+const eventing = require('../../src/eventing');
+const libsignal = require('libsignal');
+const storage = require('../../src/storage');
+
+const key1 = Buffer.alloc(33, 1);
+const key2 = Buffer.alloc(33, 2);
+
+
+describe('Trust policies', function() {
+
+    let warn;
+
+    beforeEach(() => {
+        warn = console.warn;
+        console.warn = () => {};
+    });
+
+    afterEach(() => {
+        console.warn = warn;
+    });
+
+    async function newStore(trustPolicy) {
+        const store = new storage.Storage({backing: 'memory', label: 'trust', trustPolicy});
+        await store.initialize();
+        return store;
+    }
+
+    function keyChange(store, key) {
+        return new eventing.KeyChangeEvent(new libsignal.UntrustedIdentityKeyError('peer', key),
+                                           {storage: store});
+    }
+
+    it('trusts the first key by default', async () => {
+        const store = await newStore();
+        assert.strictEqual(await store.isTrustedIdentity('peer.1', key1), true);
+        assert.ok((await store.loadIdentity('peer')).equals(key1));
+        assert.strictEqual(await store.isTrustedIdentity('peer.1', key2), false);
+        assert.strictEqual(await keyChange(store, key2).autoAccept(), false);
+    });
+
+    it('rejects unknown keys until approved in strict mode', async () => {
+        const store = await newStore('strict');
+        assert.strictEqual(await store.isTrustedIdentity('peer.1', key1), false);
+        assert.strictEqual(await store.loadIdentity('peer'), undefined);
+        const ev = keyChange(store, key1);
+        assert.strictEqual(await ev.autoAccept(), false);
+        await ev.accept();
+        assert.strictEqual(await store.isTrustedIdentity('peer.1', key1), true);
+    });
+
+    it('accepts and audits every key in always mode', async () => {
+        const audit = [];
+        const store = await newStore(new storage.trust.AlwaysTrustPolicy({audit: x => audit.push(x)}));
+        assert.strictEqual(await store.isTrustedIdentity('peer.1', key1), true);
+        assert.strictEqual(await keyChange(store, key2).autoAccept(), true);
+        assert.ok((await store.loadIdentity('peer')).equals(key2));
+        assert.strictEqual(audit.length, 2);
+        assert.strictEqual(audit[0].previousKey, undefined);
+        assert.ok(audit[1].previousKey.equals(key1));
+    });
+
+    it('tracks verified keys until they change', async () => {
+        const store = await newStore(new storage.trust.AlwaysTrustPolicy({audit: () => {}}));
+        await store.isTrustedIdentity('peer.1', key1);
+        assert.strictEqual(await store.isVerified('peer'), false);
+        await store.setVerified('peer', true, key1);
+        assert.strictEqual(await store.isVerified('peer'), true);
+        await keyChange(store, key2).autoAccept();
+        assert.strictEqual(await store.isVerified('peer'), false);
+        await assert.rejects(() => store.setVerified('peer', true, key1), /Identity key changed/);
+    });
+
+    it('rejects unknown policies', () => {
+        assert.throws(() => new storage.Storage({backing: 'memory', trustPolicy: 'bogus'}),
+                      /Invalid trust policy/);
+    });
+});